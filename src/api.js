@@ -1,28 +1,329 @@
-import {
-  buildAuthorization,
-  getConsoleIds,
-  getGameList,
-} from "@retroachievements/api"
+import { buildAuthorization } from "@retroachievements/api"
+
+// RetroAchievements Web API, called directly so failed requests can be retried
+const API_BASE_URL = "https://retroachievements.org/API"
+
+// Server that game icons and other images are served from
+const MEDIA_BASE_URL = "https://media.retroachievements.org"
+
+// Attempts per request, including the first one
+const MAX_ATTEMPTS = 5
+
+// Delay before the first retry, doubled for each one after it
+const RETRY_BASE_DELAY_MS = 1000
+
+// Longest wait between attempts, including waits asked for by Retry-After
+const MAX_RETRY_DELAY_MS = 60 * 1000
+
+// Requests that take longer than this are aborted and retried
+const REQUEST_TIMEOUT_MS = 60 * 1000
+
+// Minimum time between the start of two requests, shared by every call
+const MIN_REQUEST_INTERVAL_MS = 500
+
+// Image downloads that take longer than this are given up on
+const IMAGE_TIMEOUT_MS = 15 * 1000
+
+// Largest image accepted for embedding; game icons are a few KB
+const MAX_IMAGE_SIZE = 256 * 1024
+
+// Failed image downloads in a row after which the rest aren't tried, as the
+// media server is likely unreachable
+const MAX_IMAGE_FAILURES = 3
+
+// Games per request when fetching a user's progress (the API's maximum)
+const USER_PROGRESS_PAGE_SIZE = 500
+
+// HTTP status codes worth retrying: rate limiting and server errors
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504])
+
+// Time the next request may start, for the global throttle
+let nextRequestAt = 0
+
+/**
+ * Error for a failed API request
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {number} [details.status] - HTTP status code, if a response was received
+   * @param {number} [details.retryAfter] - Delay asked for by the Retry-After header (ms)
+   * @param {boolean} details.retryable - Whether the request may succeed if repeated
+   */
+  constructor(message, { status, retryAfter, retryable }) {
+    super(message)
+    this.name = "ApiError"
+    this.status = status
+    this.retryAfter = retryAfter
+    this.retryable = retryable
+  }
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+/**
+ * Wait until the global throttle lets another request start
+ * @returns {Promise<void>}
+ */
+async function throttle() {
+  const now = Date.now()
+  const startAt = Math.max(now, nextRequestAt)
+  nextRequestAt = startAt + MIN_REQUEST_INTERVAL_MS
+  if (startAt > now) {
+    await sleep(startAt - now)
+  }
+}
+
+/**
+ * Parse a Retry-After header, given in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|undefined} Delay in milliseconds, or undefined if missing or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return undefined
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000
+  }
+  const date = Date.parse(value)
+  return isNaN(date) ? undefined : Math.max(0, date - Date.now())
+}
+
+/**
+ * Convert a PascalCase key to camelCase, treating a trailing "ID" or "URL"
+ * as a word (e.g. "NumAchievements" → "numAchievements", "IconURL" → "iconUrl")
+ * @param {string} key - Response key
+ * @returns {string} camelCase key
+ */
+function toCamelCaseKey(key) {
+  if (key === key.toUpperCase()) {
+    return key.toLowerCase()
+  }
+  const name = key.replace(
+    /(ID|URL)$/,
+    (word) => word[0] + word.slice(1).toLowerCase()
+  )
+  return name[0].toLowerCase() + name.slice(1)
+}
+
+/**
+ * Convert the PascalCase keys of an API response to camelCase
+ * @param {*} value - Parsed JSON response
+ * @returns {*} Response with converted keys
+ */
+function toCamelCase(value) {
+  if (Array.isArray(value)) {
+    return value.map(toCamelCase)
+  }
+  if (!value || typeof value !== "object") {
+    return value
+  }
+  const converted = {}
+  for (const [key, item] of Object.entries(value)) {
+    converted[toCamelCaseKey(key)] = toCamelCase(item)
+  }
+  return converted
+}
+
+/**
+ * Make a single request to the Web API
+ * @param {string} url - Request URL
+ * @returns {Promise<*>} Parsed JSON response
+ * @throws {ApiError} When the request fails
+ */
+async function requestOnce(url) {
+  let response
+  try {
+    response = await fetch(url, {
+      headers: { "User-Agent": "retro-hash-report" },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    })
+  } catch (error) {
+    const reason =
+      error.name === "TimeoutError"
+        ? `timed out after ${REQUEST_TIMEOUT_MS / 1000}s`
+        : error.cause?.code || error.message
+    throw new ApiError(`Request failed: ${reason}`, { retryable: true })
+  }
+
+  if (!response.ok) {
+    const hint =
+      response.status === 401 ? " (check your username and API key)" : ""
+    throw new ApiError(
+      `HTTP Error: Status ${response.status} ${response.statusText}${hint}`,
+      {
+        status: response.status,
+        retryAfter: parseRetryAfter(response.headers.get("retry-after")),
+        retryable: RETRYABLE_STATUS.has(response.status),
+      }
+    )
+  }
+
+  try {
+    return await response.json()
+  } catch (error) {
+    // A cut-off body is as retryable as a dropped connection
+    throw new ApiError(`Invalid response: ${error.message}`, {
+      retryable: true,
+    })
+  }
+}
+
+/**
+ * Request a Web API URL, retrying rate-limited, failed and timed out
+ * requests with exponential backoff
+ * @param {URL} url - Request URL
+ * @param {Object} options - Request options
+ * @param {Function} options.onRetry - Optional callback (error, delayMs, attempt) called before each retry
+ * @returns {Promise<*>} Parsed JSON response
+ */
+async function requestWithRetry(url, options = {}) {
+  for (let attempt = 1; ; attempt++) {
+    await throttle()
+    try {
+      return await requestOnce(url)
+    } catch (error) {
+      if (!error.retryable || attempt >= MAX_ATTEMPTS) {
+        throw error
+      }
+
+      // Add jitter so parallel runs don't retry in lockstep
+      const backoff = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1)
+      const delay = Math.min(
+        MAX_RETRY_DELAY_MS,
+        error.retryAfter ?? backoff + Math.random() * backoff * 0.25
+      )
+      options.onRetry?.(error, delay, attempt)
+
+      // Hold back every other request too while the API recovers
+      nextRequestAt = Math.max(nextRequestAt, Date.now() + delay)
+      await sleep(delay)
+    }
+  }
+}
+
+/**
+ * Download an image
+ * @param {string} url - Image URL
+ * @returns {Promise<{type: string, data: Buffer}>} MIME type and contents
+ * @throws {Error} When the request fails or the response isn't an image
+ */
+async function requestImage(url) {
+  const response = await fetch(url, {
+    headers: { "User-Agent": "retro-hash-report" },
+    signal: AbortSignal.timeout(IMAGE_TIMEOUT_MS),
+  })
+  if (!response.ok) {
+    throw new Error(
+      `HTTP Error: Status ${response.status} ${response.statusText}`
+    )
+  }
+
+  const type = (response.headers.get("content-type") || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase()
+  if (!/^image\/[a-z0-9.+-]+$/.test(type)) {
+    throw new Error(`Not an image: ${type || "no content type"}`)
+  }
+  const data = Buffer.from(await response.arrayBuffer())
+  if (data.length > MAX_IMAGE_SIZE) {
+    throw new Error(`Image too large: ${data.length} bytes`)
+  }
+  return { type, data }
+}
 
 /**
- * Create an authorization object for RA API calls
+ * @typedef {Object} ApiBackend
+ * @property {string} username - RetroAchievements user the requests are made as
+ * @property {string} description - Where the data comes from, for messages
+ * @property {function(string, Object, Object): Promise<*>} call - Call an endpoint by name (e.g. "GetGameList") with query parameters and request options, resolving to the response as the Web API returns it
+ * @property {function(string): Promise<{type: string, data: Buffer}>} [fetchImage] - Download an image by its path on the media server (e.g. "/Images/000001.png"); backends without images leave it out
+ */
+
+/**
+ * Create a backend that calls the RetroAchievements Web API, or a server
+ * that mimics it (see mock-server.js)
  * @param {Object} credentials - Object with username and apiKey
- * @returns {Object} Authorization object
+ * @param {Object} options - Backend options
+ * @param {string} options.baseUrl - Optional Web API base URL, e.g. "http://localhost:8080/API"
+ * @param {string} options.mediaBaseUrl - Optional server to download images from (default: RetroAchievements' media server, unless baseUrl is given)
+ * @returns {ApiBackend}
  */
-export function createAuthorization(credentials) {
-  return buildAuthorization({
+export function createHttpBackend(credentials, options = {}) {
+  const authorization = buildAuthorization({
     username: credentials.username,
     webApiKey: credentials.apiKey,
   })
+  const baseUrl = (options.baseUrl || API_BASE_URL).replace(/\/+$/, "")
+  const mediaBaseUrl = (
+    options.mediaBaseUrl ?? (options.baseUrl ? "" : MEDIA_BASE_URL)
+  ).replace(/\/+$/, "")
+
+  return {
+    username: authorization.username,
+    description: baseUrl,
+    call: (endpoint, params = {}, callOptions = {}) => {
+      const url = new URL(`${baseUrl}/API_${endpoint}.php`)
+      url.searchParams.set("z", authorization.username)
+      url.searchParams.set("y", authorization.webApiKey)
+      for (const [key, value] of Object.entries(params)) {
+        url.searchParams.set(key, String(value))
+      }
+      return requestWithRetry(url, callOptions)
+    },
+    fetchImage: mediaBaseUrl
+      ? (imagePath) => requestImage(`${mediaBaseUrl}${imagePath}`)
+      : undefined,
+  }
+}
+
+/**
+ * Call a Web API endpoint through a backend
+ * @param {ApiBackend} backend - Backend from createHttpBackend or createFixtureBackend
+ * @param {string} endpoint - Endpoint name without prefix (e.g. "GetGameList")
+ * @param {Object} params - Query parameters
+ * @param {Object} options - Request options
+ * @param {Function} options.onRetry - Optional callback (error, delayMs, attempt) called before each retry
+ * @returns {Promise<*>} Response with camelCase keys
+ */
+async function callApi(backend, endpoint, params = {}, options = {}) {
+  return toCamelCase(await backend.call(endpoint, params, options))
+}
+
+/**
+ * Fetch the games for a console, including their hashes
+ * @param {ApiBackend} backend - API backend
+ * @param {number} consoleId - Console ID
+ * @param {Object} options - Request options (see callApi)
+ * @param {boolean} options.includeGamesWithoutAchievements - Also fetch games whose achievement sets aren't published
+ * @returns {Promise<Array>} Array of game objects
+ */
+async function getGameList(backend, consoleId, options) {
+  const params = { i: consoleId, h: 1 }
+  if (!options.includeGamesWithoutAchievements) {
+    params.f = 1
+  }
+  return callApi(backend, "GetGameList", params, options)
 }
 
 /**
  * Fetch all console IDs from RetroAchievements
- * @param {Object} authorization - Authorization object from createAuthorization
+ * @param {ApiBackend} backend - Backend from createHttpBackend or createFixtureBackend
+ * @param {Object} options - Request options (see callApi)
  * @returns {Promise<Array>} Array of console objects with id and name
  */
-export async function getConsoles(authorization) {
-  const consoles = await getConsoleIds(authorization)
+export async function getConsoles(backend, options = {}) {
+  const consoles = await callApi(backend, "GetConsoleIDs", {}, options)
 
   // Filter out non-game systems and sort by name
   const gameConsoles = consoles
@@ -38,16 +339,14 @@ export async function getConsoles(authorization) {
 
 /**
  * Fetch all games with hashes for a specific console
- * @param {Object} authorization - Authorization object
+ * @param {ApiBackend} backend - API backend
  * @param {number} consoleId - Console ID to fetch games for
+ * @param {Object} options - Request options (see callApi)
+ * @param {boolean} options.includeGamesWithoutAchievements - Also include games whose achievement sets aren't published
  * @returns {Promise<Map>} Map of MD5 hashes to game info
  */
-export async function getGameHashes(authorization, consoleId) {
-  const games = await getGameList(authorization, {
-    consoleId: consoleId,
-    shouldOnlyRetrieveGamesWithAchievements: true,
-    shouldRetrieveGameHashes: true,
-  })
+export async function getGameHashes(backend, consoleId, options = {}) {
+  const games = await getGameList(backend, consoleId, options)
 
   // Build a hash lookup map for efficient searching
   const hashMap = new Map()
@@ -62,6 +361,7 @@ export async function getGameHashes(authorization, consoleId) {
           title: game.title,
           numAchievements: game.numAchievements || 0,
           numLeaderboards: game.numLeaderboards || 0,
+          points: game.points || 0,
           imageIcon: game.imageIcon,
         })
       }
@@ -71,18 +371,110 @@ export async function getGameHashes(authorization, consoleId) {
   return hashMap
 }
 
+/**
+ * Fetch the hashes RetroAchievements accepts for a game, with their labels
+ * @param {ApiBackend} backend - API backend
+ * @param {number} gameId - Game ID
+ * @param {Object} options - Request options (see callApi)
+ * @returns {Promise<Array>} Array of hash info objects (md5, name, labels, patchUrl)
+ */
+export async function getGameHashInfo(backend, gameId, options = {}) {
+  const response = await callApi(
+    backend,
+    "GetGameHashes",
+    { i: gameId },
+    options
+  )
+
+  return (response.results || []).map((hash) => ({
+    md5: hash.md5.toLowerCase(),
+    // Usually the dump's file name, e.g. a No-Intro or Redump name
+    name: hash.name || null,
+    // Tags such as "nointro", "redump" or "rapatches"
+    labels: hash.labels || [],
+    // Hashes of patched ROMs (translations, hacks) link to the patch
+    patchUrl: hash.patchUrl || null,
+  }))
+}
+
+/**
+ * Fetch a user's achievement progress for every game they have played
+ * @param {ApiBackend} backend - API backend
+ * @param {string} username - RetroAchievements username
+ * @param {Object} options - Request options (see callApi)
+ * @returns {Promise<Map>} Map of game IDs to progress info
+ */
+export async function getUserProgress(backend, username, options = {}) {
+  const progress = new Map()
+
+  for (let offset = 0; ; offset += USER_PROGRESS_PAGE_SIZE) {
+    const page = await callApi(
+      backend,
+      "GetUserCompletionProgress",
+      { u: username, c: USER_PROGRESS_PAGE_SIZE, o: offset },
+      options
+    )
+    const games = page.results || []
+
+    for (const game of games) {
+      progress.set(game.gameId, {
+        numAwarded: game.numAwarded || 0,
+        numAwardedHardcore: game.numAwardedHardcore || 0,
+        maxPossible: game.maxPossible || 0,
+        // "mastered", "completed", "beaten-hardcore", "beaten-softcore" or null
+        highestAwardKind: game.highestAwardKind || null,
+      })
+    }
+
+    if (games.length < USER_PROGRESS_PAGE_SIZE || progress.size >= page.total) {
+      return progress
+    }
+  }
+}
+
+/**
+ * Download game icons for embedding in a report, as data: URIs. Icons that
+ * can't be downloaded are left out, and after a few failures in a row the
+ * rest aren't tried
+ * @param {ApiBackend} backend - API backend
+ * @param {Array<string>} imagePaths - Icon paths from game info (e.g. "/Images/000001.png")
+ * @returns {Promise<Map<string, string>>} Map of icon paths to data: URIs
+ */
+export async function getGameIcons(backend, imagePaths) {
+  const icons = new Map()
+  if (!backend.fetchImage) {
+    return icons
+  }
+
+  let failures = 0
+  for (const imagePath of new Set(imagePaths)) {
+    try {
+      const { type, data } = await backend.fetchImage(imagePath)
+      icons.set(imagePath, `data:${type};base64,${data.toString("base64")}`)
+      failures = 0
+    } catch (error) {
+      if (process.env.DEBUG) {
+        console.error(
+          `[DEBUG] Could not download icon ${imagePath}: ${error.message}`
+        )
+      }
+      if (++failures >= MAX_IMAGE_FAILURES) {
+        break
+      }
+    }
+  }
+  return icons
+}
+
 /**
  * Get total game count and hash count for statistics
- * @param {Object} authorization - Authorization object
+ * @param {ApiBackend} backend - API backend
  * @param {number} consoleId - Console ID
+ * @param {Object} options - Request options (see callApi)
  * @returns {Promise<Object>} Object with gameCount and hashCount
  */
-export async function getGameStats(authorization, consoleId) {
-  const games = await getGameList(authorization, {
-    consoleId: consoleId,
-    shouldOnlyRetrieveGamesWithAchievements: true,
-    shouldRetrieveGameHashes: true,
-  })
+export async function getGameStats(backend, consoleId, options = {}) {
+  const games = await getGameList(backend, consoleId, options)
 
   let hashCount = 0
   for (const game of games) {
@@ -0,0 +1,160 @@
+import fs from "fs"
+import path from "path"
+import os from "os"
+import chalk from "chalk"
+
+// Cached RetroAchievements data lives next to ~/.retrohash-config.json
+const CACHE_DIR = path.join(os.homedir(), ".retrohash-cache")
+
+// Bumped when the layout of cached data changes, so old entries are ignored
+const CACHE_VERSION = 2
+
+/**
+ * How long cached data is used before it is fetched again
+ */
+export const DEFAULT_CACHE_TTL_HOURS = 24
+
+/**
+ * Get the path of a cache entry
+ * @param {string} key - Cache entry name (e.g. "consoles", "hashes-3")
+ * @returns {string} Path to the entry's file
+ */
+function getCachePath(key) {
+  return path.join(CACHE_DIR, `${key}.json`)
+}
+
+/**
+ * Read an entry from the cache, regardless of its age
+ * @param {string} key - Cache entry name
+ * @returns {{data: *, fetchedAt: number}|null} Cached data and when it was fetched (ms since epoch), or null if not cached
+ */
+export function readCache(key) {
+  const cachePath = getCachePath(key)
+  try {
+    if (!fs.existsSync(cachePath)) {
+      return null
+    }
+    const entry = JSON.parse(fs.readFileSync(cachePath, "utf-8"))
+    if (entry.version !== CACHE_VERSION || !entry.fetchedAt) {
+      return null
+    }
+    return { data: entry.data, fetchedAt: entry.fetchedAt }
+  } catch (error) {
+    console.error(
+      chalk.yellow(`Warning: Could not read cache file ${cachePath}`)
+    )
+    return null
+  }
+}
+
+/**
+ * Store an entry in the cache. Failures are reported but not fatal, since
+ * the data is still usable for this run
+ * @param {string} key - Cache entry name
+ * @param {*} data - JSON-serializable data
+ * @returns {number} Time the data was stored (ms since epoch)
+ */
+export function writeCache(key, data) {
+  const fetchedAt = Date.now()
+  const cachePath = getCachePath(key)
+  try {
+    fs.mkdirSync(CACHE_DIR, { recursive: true })
+
+    // Write to a temporary file first so an interrupted run can't leave a
+    // truncated entry behind
+    const tempPath = `${cachePath}.${process.pid}.tmp`
+    fs.writeFileSync(
+      tempPath,
+      JSON.stringify({ version: CACHE_VERSION, fetchedAt, data }),
+      "utf-8"
+    )
+    fs.renameSync(tempPath, cachePath)
+  } catch (error) {
+    console.error(
+      chalk.yellow(`Warning: Could not write cache file ${cachePath}`)
+    )
+  }
+  return fetchedAt
+}
+
+/**
+ * Get data from the cache, fetching and storing it when it is missing,
+ * older than the TTL or a refresh is requested
+ * @param {string} key - Cache entry name
+ * @param {Function} fetchData - Async function returning fresh, JSON-serializable data
+ * @param {Object} options - Cache options
+ * @param {number} options.ttlHours - Hours before cached data expires
+ * @param {boolean} options.refresh - Ignore cached data and fetch it again
+ * @returns {Promise<{data: *, fetchedAt: number, fromCache: boolean}>}
+ */
+export async function getCached(key, fetchData, options = {}) {
+  const { ttlHours = DEFAULT_CACHE_TTL_HOURS, refresh = false } = options
+
+  if (!refresh) {
+    const cached = readCache(key)
+    if (cached && Date.now() - cached.fetchedAt < ttlHours * 60 * 60 * 1000) {
+      return { ...cached, fromCache: true }
+    }
+  }
+
+  const data = await fetchData()
+  const fetchedAt = writeCache(key, data)
+  return { data, fetchedAt, fromCache: false }
+}
+
+/**
+ * Write every cached entry to a single database file, e.g. to scan on a
+ * machine without internet access
+ * @param {string} filePath - Path of the database file to write
+ * @returns {number} Number of entries exported
+ */
+export function exportCache(filePath) {
+  const entries = {}
+  const files = fs.existsSync(CACHE_DIR) ? fs.readdirSync(CACHE_DIR) : []
+
+  for (const file of files.filter((f) => f.endsWith(".json"))) {
+    const key = path.basename(file, ".json")
+    const entry = readCache(key)
+    if (entry) {
+      entries[key] = entry
+    }
+  }
+
+  fs.writeFileSync(
+    filePath,
+    JSON.stringify({ version: CACHE_VERSION, exportedAt: Date.now(), entries }),
+    "utf-8"
+  )
+  return Object.keys(entries).length
+}
+
+/**
+ * Open the hash database used in offline mode: a file written by exportCache,
+ * or the cache itself (whatever its age) when no file is given
+ * @param {string} [databasePath] - Path to an exported database file
+ * @returns {{read: function(string): ({data: *, fetchedAt: number}|null)}} Database with a read method taking a cache entry name
+ */
+export function openOfflineDatabase(databasePath) {
+  if (!databasePath) {
+    return { read: readCache }
+  }
+
+  let database
+  try {
+    database = JSON.parse(fs.readFileSync(databasePath, "utf-8"))
+  } catch (error) {
+    throw new Error(
+      `Could not read hash database ${databasePath}: ${error.message}`
+    )
+  }
+  if (!database.entries) {
+    throw new Error(`Not a hash database exported by ra-hash: ${databasePath}`)
+  }
+  if (database.version !== CACHE_VERSION) {
+    throw new Error(
+      `Hash database ${databasePath} was exported by another version of ra-hash, export it again`
+    )
+  }
+
+  return { read: (key) => database.entries[key] || null }
+}
@@ -0,0 +1,661 @@
+import fs from "fs"
+import path from "path"
+import zlib from "zlib"
+import { decompressLzma } from "./lzma.js"
+import { decodeFlacFrames } from "./flac.js"
+
+// CHD v5 header layout (all values big-endian)
+const CHD_MAGIC = "MComprHD"
+const CHD_V5_HEADER_SIZE = 124
+
+// Hunk compression types in a v5 map
+const COMPRESSION_TYPE_0 = 0
+const COMPRESSION_TYPE_3 = 3
+const COMPRESSION_NONE = 4
+const COMPRESSION_SELF = 5
+const COMPRESSION_PARENT = 6
+const COMPRESSION_RLE_SMALL = 7
+const COMPRESSION_RLE_LARGE = 8
+const COMPRESSION_SELF_0 = 9
+const COMPRESSION_SELF_1 = 10
+const COMPRESSION_PARENT_SELF = 11
+const COMPRESSION_PARENT_0 = 12
+const COMPRESSION_PARENT_1 = 13
+
+// CD frames are stored as 2352 bytes of sector data plus 96 bytes of subcode
+const CD_SECTOR_SIZE = 2352
+const CD_SUBCODE_SIZE = 96
+const CD_FRAME_SIZE = CD_SECTOR_SIZE + CD_SUBCODE_SIZE
+
+// Tracks are padded to a multiple of this many frames in the CHD
+const CD_TRACK_PADDING = 4
+
+const CD_SYNC_HEADER = Buffer.from([
+  0x00, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x00,
+])
+
+// Metadata tags describing CD and GD-ROM tracks, and marking a DVD image
+const CD_TRACK_METADATA_TAGS = new Set(["CHTR", "CHT2", "CHGD"])
+const DVD_METADATA_TAG = "DVD "
+
+// GD-ROM track 3 opens the high-density area, which starts at this sector
+export const GD_ROM_HIGH_DENSITY_SECTOR = 45000
+
+// Offset of user data within a frame for cooked track types
+const CD_TRACK_DATA_OFFSETS = {
+  MODE1: 0,
+  MODE2_FORM1: 0,
+  MODE2: 8,
+  MODE2_FORM2: 8,
+  MODE2_FORM_MIX: 8,
+}
+
+/**
+ * Big-endian bit reader used for the compressed hunk map
+ */
+class BitStream {
+  /**
+   * @param {Buffer} buffer - Data to read
+   */
+  constructor(buffer) {
+    this.buffer = buffer
+    this.bitOffset = 0
+  }
+
+  /**
+   * Read bits without consuming them (zeros past the end of the data)
+   * @param {number} numBits - Number of bits (up to 32)
+   * @returns {number}
+   */
+  peek(numBits) {
+    let value = 0
+    for (let i = 0; i < numBits; i++) {
+      const offset = this.bitOffset + i
+      const byte = this.buffer[offset >>> 3] || 0
+      value = value * 2 + ((byte >>> (7 - (offset & 7))) & 1)
+    }
+    return value
+  }
+
+  /**
+   * Read and consume bits
+   * @param {number} numBits - Number of bits (up to 32)
+   * @returns {number}
+   */
+  read(numBits) {
+    const value = this.peek(numBits)
+    this.bitOffset += numBits
+    return value
+  }
+}
+
+/**
+ * Create a canonical Huffman decoder from an RLE-coded tree, as written by
+ * MAME's huffman_encoder::export_tree_rle
+ * @param {BitStream} bits - Stream positioned at the tree
+ * @param {number} numCodes - Number of symbols
+ * @param {number} maxBits - Longest code length
+ * @returns {function(BitStream): number} Decodes one symbol
+ */
+function importHuffmanTree(bits, numCodes, maxBits) {
+  const numBitsWidth = maxBits >= 16 ? 5 : maxBits >= 8 ? 4 : 3
+  const codeLengths = []
+
+  while (codeLengths.length < numCodes) {
+    const value = bits.read(numBitsWidth)
+    if (value !== 1) {
+      codeLengths.push(value)
+      continue
+    }
+
+    // A 1 is an escape: 1 1 is a literal 1, otherwise a length and repeat count
+    const length = bits.read(numBitsWidth)
+    if (length === 1) {
+      codeLengths.push(1)
+    } else {
+      const repeat = bits.read(numBitsWidth) + 3
+      for (let i = 0; i < repeat; i++) {
+        codeLengths.push(length)
+      }
+    }
+  }
+  if (codeLengths.length !== numCodes) {
+    throw new Error("Invalid CHD map: bad Huffman tree")
+  }
+
+  // Assign canonical codes, longest codes first
+  const histogram = new Array(33).fill(0)
+  for (const length of codeLengths) {
+    histogram[length]++
+  }
+  let start = 0
+  for (let length = 32; length > 0; length--) {
+    const next = (start + histogram[length]) >>> 1
+    histogram[length] = start
+    start = next
+  }
+
+  const lookup = new Uint16Array(1 << maxBits)
+  codeLengths.forEach((length, symbol) => {
+    if (length === 0) return
+    const code = histogram[length]++
+    const shift = maxBits - length
+    lookup.fill((symbol << 5) | length, code << shift, (code + 1) << shift)
+  })
+
+  return (stream) => {
+    const entry = lookup[stream.peek(maxBits)]
+    stream.bitOffset += entry & 0x1f
+    return entry >>> 5
+  }
+}
+
+/**
+ * CRC-16/CCITT as used to check the decoded hunk map
+ * @param {Buffer} data - Data to checksum
+ * @returns {number}
+ */
+function crc16(data) {
+  let crc = 0xffff
+  for (const byte of data) {
+    crc ^= byte << 8
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff
+    }
+  }
+  return crc
+}
+
+/**
+ * Decode a compressed v5 hunk map into 12-byte entries (compression type,
+ * 24-bit length, 48-bit offset, 16-bit CRC) like libchdr's raw map
+ * @param {Object} header - Parsed CHD header
+ * @param {Buffer} mapHeader - 16-byte map header
+ * @param {Buffer} compressed - Compressed map data following the header
+ * @returns {Array<{type: number, length: number, offset: number}>} Map entries
+ */
+function decodeCompressedMap(header, mapHeader, compressed) {
+  const firstOffset = mapHeader.readUIntBE(4, 6)
+  const mapCrc = mapHeader.readUInt16BE(10)
+  const lengthBits = mapHeader[12]
+  const selfBits = mapHeader[13]
+  const parentBits = mapHeader[14]
+
+  const bits = new BitStream(compressed)
+  const decode = importHuffmanTree(bits, 16, 8)
+  const types = new Uint8Array(header.hunkCount)
+
+  // Compression types are Huffman coded with run-length repeats
+  let repeat = 0
+  let lastType = 0
+  for (let hunk = 0; hunk < header.hunkCount; hunk++) {
+    if (repeat > 0) {
+      types[hunk] = lastType
+      repeat--
+      continue
+    }
+    const value = decode(bits)
+    if (value === COMPRESSION_RLE_SMALL) {
+      types[hunk] = lastType
+      repeat = 2 + decode(bits)
+    } else if (value === COMPRESSION_RLE_LARGE) {
+      types[hunk] = lastType
+      repeat = 2 + 16 + (decode(bits) << 4)
+      repeat += decode(bits)
+    } else {
+      types[hunk] = lastType = value
+    }
+  }
+
+  const entries = []
+  const rawMap = Buffer.alloc(header.hunkCount * 12)
+  let currentOffset = firstOffset
+  let lastSelf = 0
+  let lastParent = 0
+
+  for (let hunk = 0; hunk < header.hunkCount; hunk++) {
+    let type = types[hunk]
+    let offset = currentOffset
+    let length = 0
+    let crc = 0
+
+    if (type >= COMPRESSION_TYPE_0 && type <= COMPRESSION_TYPE_3) {
+      length = bits.read(lengthBits)
+      currentOffset += length
+      crc = bits.read(16)
+    } else if (type === COMPRESSION_NONE) {
+      length = header.hunkBytes
+      currentOffset += length
+      crc = bits.read(16)
+    } else if (type === COMPRESSION_SELF) {
+      offset = lastSelf = bits.read(selfBits)
+    } else if (type === COMPRESSION_PARENT) {
+      offset = lastParent = bits.read(parentBits)
+    } else if (type === COMPRESSION_SELF_0 || type === COMPRESSION_SELF_1) {
+      if (type === COMPRESSION_SELF_1) lastSelf++
+      type = COMPRESSION_SELF
+      offset = lastSelf
+    } else if (type === COMPRESSION_PARENT_SELF) {
+      type = COMPRESSION_PARENT
+      offset = lastParent = Math.floor(
+        (hunk * header.hunkBytes) / header.unitBytes
+      )
+    } else if (type === COMPRESSION_PARENT_0 || type === COMPRESSION_PARENT_1) {
+      if (type === COMPRESSION_PARENT_1) {
+        lastParent += header.hunkBytes / header.unitBytes
+      }
+      type = COMPRESSION_PARENT
+      offset = lastParent
+    }
+
+    entries.push({ type, length, offset })
+    rawMap[hunk * 12] = type
+    rawMap.writeUIntBE(length, hunk * 12 + 1, 3)
+    rawMap.writeUIntBE(offset, hunk * 12 + 4, 6)
+    rawMap.writeUInt16BE(crc, hunk * 12 + 10)
+  }
+
+  if (crc16(rawMap) !== mapCrc) {
+    throw new Error("Invalid CHD map: checksum mismatch")
+  }
+
+  return entries
+}
+
+/**
+ * Decompress the sector and subcode parts of a CD hunk and interleave them
+ * back into frames
+ * @param {Buffer} sectors - Decompressed sector data for all frames
+ * @param {Buffer} subcode - Decompressed subcode data for all frames
+ * @param {number} frames - Number of frames in the hunk
+ * @param {Buffer} eccFlags - Bitmap of frames whose sync header was removed
+ * @returns {Buffer} Hunk data
+ */
+function assembleCdFrames(sectors, subcode, frames, eccFlags) {
+  const output = Buffer.alloc(frames * CD_FRAME_SIZE)
+  for (let frame = 0; frame < frames; frame++) {
+    const frameOffset = frame * CD_FRAME_SIZE
+    sectors.copy(
+      output,
+      frameOffset,
+      frame * CD_SECTOR_SIZE,
+      (frame + 1) * CD_SECTOR_SIZE
+    )
+    subcode.copy(
+      output,
+      frameOffset + CD_SECTOR_SIZE,
+      frame * CD_SUBCODE_SIZE,
+      (frame + 1) * CD_SUBCODE_SIZE
+    )
+
+    // The compressor strips the sync header and ECC of data sectors. Only the
+    // sync header is restored, as the ECC lies outside the user data
+    if (eccFlags && eccFlags[frame >>> 3] & (1 << (frame & 7))) {
+      CD_SYNC_HEADER.copy(output, frameOffset)
+    }
+  }
+  return output
+}
+
+/**
+ * Decompress zstd data when this Node.js version supports it
+ * @param {Buffer} data - Compressed data
+ * @returns {Buffer}
+ */
+function zstdDecompress(data) {
+  if (typeof zlib.zstdDecompressSync !== "function") {
+    throw new Error(
+      "CHD uses zstd compression, which needs a newer version of Node.js"
+    )
+  }
+  return zlib.zstdDecompressSync(data)
+}
+
+// Decompressors for the base codecs, given the compressed data and output size
+const BASE_CODECS = {
+  zlib: (data) => zlib.inflateRawSync(data),
+  lzma: (data, size) => decompressLzma(data, size),
+  zstd: (data) => zstdDecompress(data),
+}
+
+// CD codecs compress sector data with a base codec and subcode with another
+const CD_CODECS = {
+  cdzl: { sectors: "zlib", subcode: "zlib" },
+  cdlz: { sectors: "lzma", subcode: "zlib" },
+  cdzs: { sectors: "zstd", subcode: "zstd" },
+}
+
+/**
+ * Decompress one hunk
+ * @param {string} codec - Four-character codec name from the header
+ * @param {Buffer} data - Compressed hunk
+ * @param {number} hunkBytes - Size of a decompressed hunk
+ * @returns {Buffer} Hunk data
+ */
+function decompressHunk(codec, data, hunkBytes) {
+  if (BASE_CODECS[codec]) {
+    return BASE_CODECS[codec](data, hunkBytes)
+  }
+
+  const frames = hunkBytes / CD_FRAME_SIZE
+
+  if (codec === "cdfl") {
+    // Sector data is coded as 16-bit stereo audio, followed by zlib subcode
+    const { data: sectors, bytesRead } = decodeFlacFrames(
+      data,
+      (frames * CD_SECTOR_SIZE) / 4,
+      2
+    )
+    const subcode = zlib.inflateRawSync(data.subarray(bytesRead))
+    return assembleCdFrames(sectors, subcode, frames, null)
+  }
+
+  if (CD_CODECS[codec]) {
+    const { sectors: sectorCodec, subcode: subcodeCodec } = CD_CODECS[codec]
+    const eccBytes = (frames + 7) >>> 3
+    const lengthBytes = hunkBytes < 65536 ? 2 : 3
+    const baseLength = data.readUIntBE(eccBytes, lengthBytes)
+    const baseStart = eccBytes + lengthBytes
+
+    const sectors = BASE_CODECS[sectorCodec](
+      data.subarray(baseStart, baseStart + baseLength),
+      frames * CD_SECTOR_SIZE
+    )
+    const subcode = BASE_CODECS[subcodeCodec](
+      data.subarray(baseStart + baseLength),
+      frames * CD_SUBCODE_SIZE
+    )
+    return assembleCdFrames(
+      sectors,
+      subcode,
+      frames,
+      data.subarray(0, eccBytes)
+    )
+  }
+
+  throw new Error(`Unsupported CHD codec: ${codec}`)
+}
+
+/**
+ * Open a CHD (v5) file for reading hunks on demand
+ * @param {string} filePath - Path to the .chd file
+ * @returns {Promise<Object>} CHD with header, readBytes, readMetadata and close
+ */
+export async function openChd(filePath) {
+  const fileHandle = await fs.promises.open(filePath, "r")
+
+  try {
+    const raw = Buffer.alloc(CHD_V5_HEADER_SIZE)
+    await fileHandle.read(raw, 0, raw.length, 0)
+
+    if (raw.toString("latin1", 0, 8) !== CHD_MAGIC) {
+      throw new Error("Not a CHD file")
+    }
+    const version = raw.readUInt32BE(12)
+    if (version !== 5) {
+      throw new Error(
+        `CHD version ${version} is not supported (recompress with a current chdman)`
+      )
+    }
+    if (raw.subarray(104, 124).some((b) => b !== 0)) {
+      throw new Error(
+        "CHD files that depend on a parent CHD are not supported (recompress it without a parent)"
+      )
+    }
+
+    const header = {
+      compressors: [0, 1, 2, 3].map((i) => {
+        const tag = raw.subarray(16 + i * 4, 20 + i * 4)
+        return tag.readUInt32BE(0) === 0 ? null : tag.toString("latin1")
+      }),
+      logicalBytes: Number(raw.readBigUInt64BE(32)),
+      mapOffset: Number(raw.readBigUInt64BE(40)),
+      metaOffset: Number(raw.readBigUInt64BE(48)),
+      hunkBytes: raw.readUInt32BE(56),
+      unitBytes: raw.readUInt32BE(60),
+    }
+    header.hunkCount = Math.ceil(header.logicalBytes / header.hunkBytes)
+
+    const map = await readMap(fileHandle, header)
+    return createChdReader(fileHandle, header, map)
+  } catch (error) {
+    await fileHandle.close()
+    throw error
+  }
+}
+
+/**
+ * Read the hunk map of a CHD file
+ * @param {fs.promises.FileHandle} fileHandle - Open CHD file
+ * @param {Object} header - Parsed CHD header
+ * @returns {Promise<Array<{type: number, length: number, offset: number}>>} Map entries
+ */
+async function readMap(fileHandle, header) {
+  // Uncompressed CHDs store a plain table of hunk numbers (0 = all zeros)
+  if (!header.compressors[0]) {
+    const table = Buffer.alloc(header.hunkCount * 4)
+    await fileHandle.read(table, 0, table.length, header.mapOffset)
+    const entries = []
+    for (let hunk = 0; hunk < header.hunkCount; hunk++) {
+      const index = table.readUInt32BE(hunk * 4)
+      entries.push({
+        type: COMPRESSION_NONE,
+        length: index === 0 ? 0 : header.hunkBytes,
+        offset: index * header.hunkBytes,
+      })
+    }
+    return entries
+  }
+
+  const mapHeader = Buffer.alloc(16)
+  await fileHandle.read(mapHeader, 0, 16, header.mapOffset)
+  const compressed = Buffer.alloc(mapHeader.readUInt32BE(0))
+  await fileHandle.read(compressed, 0, compressed.length, header.mapOffset + 16)
+  return decodeCompressedMap(header, mapHeader, compressed)
+}
+
+/**
+ * Build the reader object for an opened CHD
+ * @param {fs.promises.FileHandle} fileHandle - Open CHD file
+ * @param {Object} header - Parsed CHD header
+ * @param {Array<Object>} map - Hunk map entries
+ * @returns {Object} CHD reader
+ */
+function createChdReader(fileHandle, header, map) {
+  // Sector reads tend to hit the same hunk repeatedly, so keep the last one
+  let cachedHunk = { index: -1, data: null }
+
+  const readHunk = async (index) => {
+    if (index === cachedHunk.index) {
+      return cachedHunk.data
+    }
+
+    const entry = map[index]
+    let data
+    if (entry.type === COMPRESSION_SELF) {
+      data = await readHunk(entry.offset)
+    } else if (entry.type === COMPRESSION_PARENT) {
+      throw new Error("CHD hunk refers to a parent CHD")
+    } else if (entry.length === 0) {
+      data = Buffer.alloc(header.hunkBytes)
+    } else {
+      const stored = Buffer.alloc(entry.length)
+      await fileHandle.read(stored, 0, entry.length, entry.offset)
+      data =
+        entry.type === COMPRESSION_NONE
+          ? stored
+          : decompressHunk(
+              header.compressors[entry.type],
+              stored,
+              header.hunkBytes
+            )
+    }
+
+    cachedHunk = { index, data }
+    return data
+  }
+
+  return {
+    header,
+
+    /**
+     * Read bytes from the uncompressed image
+     * @param {number} offset - Byte offset in the uncompressed image
+     * @param {number} length - Number of bytes to read
+     * @returns {Promise<Buffer>} Data (shorter than length past the end of the image)
+     */
+    async readBytes(offset, length) {
+      const end = Math.min(offset + length, header.logicalBytes)
+      const chunks = []
+      let position = offset
+      while (position < end) {
+        const hunkIndex = Math.floor(position / header.hunkBytes)
+        const hunkOffset = position - hunkIndex * header.hunkBytes
+        const hunk = await readHunk(hunkIndex)
+        const chunk = hunk.subarray(
+          hunkOffset,
+          Math.min(header.hunkBytes, hunkOffset + end - position)
+        )
+        chunks.push(chunk)
+        position += chunk.length
+      }
+      return Buffer.concat(chunks)
+    },
+
+    /**
+     * Read all metadata entries
+     * @returns {Promise<Array<{tag: string, data: Buffer}>>} Metadata in file order
+     */
+    async readMetadata() {
+      const entries = []
+      let offset = header.metaOffset
+      const entryHeader = Buffer.alloc(16)
+      while (offset !== 0) {
+        await fileHandle.read(entryHeader, 0, 16, offset)
+        const data = Buffer.alloc(entryHeader.readUIntBE(5, 3))
+        await fileHandle.read(data, 0, data.length, offset + 16)
+        entries.push({ tag: entryHeader.toString("latin1", 0, 4), data })
+        offset = Number(entryHeader.readBigUInt64BE(8))
+      }
+      return entries
+    },
+
+    async close() {
+      await fileHandle.close()
+    },
+  }
+}
+
+/**
+ * Parse a CD track metadata string, e.g.
+ * "TRACK:1 TYPE:MODE2_RAW SUBTYPE:NONE FRAMES:1234 PREGAP:0 PGTYPE:MODE1 ..."
+ * @param {string} text - Metadata text
+ * @returns {Object} Track fields
+ */
+function parseTrackMetadata(text) {
+  const fields = {}
+  for (const match of text.replace(/\0.*$/s, "").matchAll(/(\w+):(\S*)/g)) {
+    fields[match[1]] = match[2]
+  }
+  return {
+    number: parseInt(fields.TRACK, 10),
+    type: fields.TYPE,
+    frames: parseInt(fields.FRAMES, 10) || 0,
+    pregap: parseInt(fields.PREGAP, 10) || 0,
+    pregapType: fields.PGTYPE || "",
+    postgap: parseInt(fields.POSTGAP, 10) || 0,
+    pad: parseInt(fields.PAD, 10) || 0,
+  }
+}
+
+/**
+ * Read the track list of a CD or GD-ROM CHD
+ * @param {string} chdPath - Path to the .chd file
+ * @returns {Promise<Array<Object>>} Tracks in disc order (TrackInfo with CHD frame positions)
+ */
+export async function readChdTracks(chdPath) {
+  const chd = await openChd(chdPath)
+  try {
+    const metadata = await chd.readMetadata()
+    if (metadata.some((m) => m.tag === DVD_METADATA_TAG)) {
+      throw new Error(
+        "DVD CHD images are not supported, extract the disc to an ISO with chdman extractdvd"
+      )
+    }
+    const trackEntries = metadata.filter((m) =>
+      CD_TRACK_METADATA_TAGS.has(m.tag)
+    )
+    if (trackEntries.length === 0) {
+      throw new Error("CHD does not contain a CD image")
+    }
+
+    const tracks = trackEntries
+      .map((m) => ({
+        ...parseTrackMetadata(m.data.toString("latin1")),
+        tag: m.tag,
+      }))
+      .sort((a, b) => a.number - b.number)
+
+    let chdFrame = 0
+    let discSector = 0
+    return tracks.map((track) => {
+      // A pregap type starting with V means the pregap is stored in the CHD
+      const storedPregap = track.pregapType.startsWith("V") ? track.pregap : 0
+      if (track.tag === "CHGD" && track.number === 3) {
+        discSector = GD_ROM_HIGH_DENSITY_SECTOR
+      }
+      const firstSector = discSector + track.pregap
+
+      const info = {
+        number: track.number,
+        type: track.type,
+        file: path.resolve(chdPath),
+        sectorSize: CD_SECTOR_SIZE,
+        firstSector,
+        chdFrame: chdFrame + storedPregap,
+      }
+
+      chdFrame += Math.ceil(track.frames / CD_TRACK_PADDING) * CD_TRACK_PADDING
+      discSector = firstSector + track.frames - storedPregap + track.postgap
+      return info
+    })
+  } finally {
+    await chd.close()
+  }
+}
+
+/**
+ * Open a track of a CHD for sector reads
+ * @param {Object} trackInfo - Track from readChdTracks
+ * @returns {Promise<Object>} Track with readSector, toTrackSector and close methods
+ */
+export async function openChdTrack(trackInfo) {
+  const chd = await openChd(trackInfo.file)
+  const frameOffset = (sector) => (trackInfo.chdFrame + sector) * CD_FRAME_SIZE
+
+  // Raw tracks are checked for a sync pattern and mode byte, as in disc.js
+  let dataOffset = CD_TRACK_DATA_OFFSETS[trackInfo.type]
+  if (dataOffset === undefined) {
+    const header = await chd.readBytes(frameOffset(0), 16)
+    dataOffset = 0
+    if (header.subarray(0, 12).equals(CD_SYNC_HEADER)) {
+      dataOffset = header[15] === 2 ? 24 : 16
+    }
+  }
+
+  return {
+    ...trackInfo,
+
+    async readSector(sector, length = 2048) {
+      return chd.readBytes(frameOffset(sector) + dataOffset, length)
+    },
+
+    toTrackSector(sector) {
+      return sector - trackInfo.firstSector
+    },
+
+    async close() {
+      await chd.close()
+    },
+  }
+}
@@ -25,11 +25,12 @@ export function loadConfig() {
 /**
  * Save configuration to the config file
  * @param {Object} config - Configuration object with username and apiKey
+ * @param {Function} log - Function to write messages with (default console.log)
  */
-export function saveConfig(config) {
+export function saveConfig(config, log = console.log) {
   try {
     fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), "utf-8")
-    console.log(chalk.green(`✓ Configuration saved to ${CONFIG_FILE}`))
+    log(chalk.green(`✓ Configuration saved to ${CONFIG_FILE}`))
   } catch (error) {
     console.error(chalk.red("Error: Could not save config file"))
     throw error
@@ -47,17 +48,22 @@ export function hasValidConfig() {
 
 /**
  * Prompt user for credentials and save them
+ * @param {Function} prompt - Inquirer prompt function to ask with (default inquirer.prompt)
+ * @param {Function} log - Function to write messages with (default console.log)
  * @returns {Promise<Object>} Config object with username and apiKey
  */
-export async function promptForCredentials() {
-  console.log(chalk.cyan("\n🎮 RetroAchievements API Setup\n"))
-  console.log(
+export async function promptForCredentials(
+  prompt = inquirer.prompt,
+  log = console.log
+) {
+  log(chalk.cyan("\n🎮 RetroAchievements API Setup\n"))
+  log(
     chalk.dim(
       "You can find your API key at: https://retroachievements.org/settings\n"
     )
   )
 
-  const answers = await inquirer.prompt([
+  const answers = await prompt([
     {
       type: "input",
       name: "username",
@@ -85,23 +91,43 @@ export async function promptForCredentials() {
   }
 
   if (answers.save) {
-    saveConfig(config)
+    saveConfig(config, log)
   }
 
   return config
 }
 
 /**
- * Get credentials - load from file or prompt user
+ * Get credentials - from the environment (RA_USERNAME and RA_API_KEY), the
+ * config file, or by prompting the user
+ * @param {Object} options - Options
+ * @param {boolean} options.interactive - Prompt when no credentials are found (default true)
+ * @param {Function} options.prompt - Inquirer prompt function to ask with (default inquirer.prompt)
+ * @param {Function} options.log - Function to write messages with (default console.log)
  * @returns {Promise<Object>} Config object with username and apiKey
  */
-export async function getCredentials() {
+export async function getCredentials(options = {}) {
+  const { interactive = true, log = console.log } = options
+  const username = process.env.RA_USERNAME?.trim()
+  const apiKey = process.env.RA_API_KEY?.trim()
+
+  if (username && apiKey) {
+    log(chalk.dim(`Using credentials for ${username} from RA_USERNAME`))
+    return { username, apiKey }
+  }
+
   const config = loadConfig()
 
   if (config && config.username && config.apiKey) {
-    console.log(chalk.dim(`Using saved credentials for ${config.username}`))
+    log(chalk.dim(`Using saved credentials for ${config.username}`))
     return config
   }
 
-  return promptForCredentials()
+  if (!interactive) {
+    throw new Error(
+      "No RetroAchievements credentials. Set RA_USERNAME and RA_API_KEY, or run once interactively to save them."
+    )
+  }
+
+  return promptForCredentials(options.prompt, log)
 }
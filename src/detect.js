@@ -0,0 +1,409 @@
+import path from "path"
+import { CONSOLE, readBytes } from "./hashers.js"
+import { GD_ROM_HIGH_DENSITY_SECTOR } from "./chd.js"
+import { findFile, openTrack, readTrackList } from "./disc.js"
+
+// Extensions that only one system uses
+const EXTENSION_CONSOLES = {
+  ".nes": CONSOLE.NES,
+  ".fds": CONSOLE.NES,
+  ".sfc": CONSOLE.SNES,
+  ".smc": CONSOLE.SNES,
+  ".gb": CONSOLE.GAME_BOY,
+  ".gbc": CONSOLE.GAME_BOY_COLOR,
+  ".gba": CONSOLE.GAME_BOY_ADVANCE,
+  ".nds": CONSOLE.NINTENDO_DS,
+  ".n64": CONSOLE.N64,
+  ".z64": CONSOLE.N64,
+  ".v64": CONSOLE.N64,
+  ".gcm": CONSOLE.GAMECUBE,
+  ".gcz": CONSOLE.GAMECUBE,
+  ".rvz": CONSOLE.GAMECUBE,
+  ".md": CONSOLE.GENESIS,
+  ".smd": CONSOLE.GENESIS,
+  ".gen": CONSOLE.GENESIS,
+  ".gg": CONSOLE.GAME_GEAR,
+  ".sms": CONSOLE.MASTER_SYSTEM,
+  ".32x": CONSOLE.SEGA_32X,
+  ".sg": CONSOLE.SG1000,
+  ".gdi": CONSOLE.DREAMCAST,
+  ".cdi": CONSOLE.DREAMCAST,
+  ".cso": CONSOLE.PSP,
+  ".pbp": CONSOLE.PSP,
+  ".a26": CONSOLE.ATARI_2600,
+  ".a78": CONSOLE.ATARI_7800,
+  ".lnx": CONSOLE.ATARI_LYNX,
+  ".jag": CONSOLE.ATARI_JAGUAR,
+  ".j64": CONSOLE.ATARI_JAGUAR,
+  ".pce": CONSOLE.PC_ENGINE,
+  ".ngp": CONSOLE.NEO_GEO_POCKET,
+  ".ngc": CONSOLE.NEO_GEO_POCKET,
+  ".ws": CONSOLE.WONDERSWAN,
+  ".wsc": CONSOLE.WONDERSWAN,
+  ".col": CONSOLE.COLECOVISION,
+  ".int": CONSOLE.INTELLIVISION,
+  ".vec": CONSOLE.VECTREX,
+  ".min": CONSOLE.POKEMON_MINI,
+  ".vb": CONSOLE.VIRTUAL_BOY,
+}
+
+// Systems that use each ambiguous extension, for when the file's contents
+// don't settle it
+const DISC_CANDIDATES = [
+  CONSOLE.PLAYSTATION,
+  CONSOLE.PLAYSTATION_2,
+  CONSOLE.PSP,
+  CONSOLE.SEGA_CD,
+  CONSOLE.SATURN,
+  CONSOLE.DREAMCAST,
+  CONSOLE.PC_ENGINE_CD,
+  CONSOLE.GAMECUBE,
+]
+const AMBIGUOUS_EXTENSION_CANDIDATES = {
+  ".bin": [
+    CONSOLE.GENESIS,
+    CONSOLE.SEGA_32X,
+    CONSOLE.ATARI_2600,
+    CONSOLE.ATARI_5200,
+    CONSOLE.ATARI_7800,
+    CONSOLE.COLECOVISION,
+    CONSOLE.INTELLIVISION,
+    CONSOLE.VECTREX,
+    CONSOLE.SG1000,
+    CONSOLE.FAIRCHILD_CHANNEL_F,
+    CONSOLE.ARCADIA_2001,
+    CONSOLE.INTERTON_VC_4000,
+    CONSOLE.MEGA_DUCK,
+    ...DISC_CANDIDATES,
+  ],
+  ".iso": DISC_CANDIDATES,
+  ".cue": DISC_CANDIDATES,
+  ".chd": DISC_CANDIDATES,
+  ".img": DISC_CANDIDATES,
+  ".rom": [
+    CONSOLE.MSX,
+    CONSOLE.COLECOVISION,
+    CONSOLE.INTELLIVISION,
+    CONSOLE.ATARI_5200,
+    CONSOLE.FAIRCHILD_CHANNEL_F,
+  ],
+}
+
+// Folder names that ROM managers and frontends commonly use for each system
+const DEFAULT_FOLDER_SYSTEMS = {
+  nes: CONSOLE.NES,
+  famicom: CONSOLE.NES,
+  fds: CONSOLE.NES,
+  snes: CONSOLE.SNES,
+  sfc: CONSOLE.SNES,
+  superfamicom: CONSOLE.SNES,
+  n64: CONSOLE.N64,
+  gb: CONSOLE.GAME_BOY,
+  gbc: CONSOLE.GAME_BOY_COLOR,
+  gba: CONSOLE.GAME_BOY_ADVANCE,
+  nds: CONSOLE.NINTENDO_DS,
+  gamecube: CONSOLE.GAMECUBE,
+  gc: CONSOLE.GAMECUBE,
+  genesis: CONSOLE.GENESIS,
+  megadrive: CONSOLE.GENESIS,
+  md: CONSOLE.GENESIS,
+  sega32x: CONSOLE.SEGA_32X,
+  "32x": CONSOLE.SEGA_32X,
+  segacd: CONSOLE.SEGA_CD,
+  megacd: CONSOLE.SEGA_CD,
+  mastersystem: CONSOLE.MASTER_SYSTEM,
+  sms: CONSOLE.MASTER_SYSTEM,
+  gamegear: CONSOLE.GAME_GEAR,
+  gg: CONSOLE.GAME_GEAR,
+  sg1000: CONSOLE.SG1000,
+  saturn: CONSOLE.SATURN,
+  dreamcast: CONSOLE.DREAMCAST,
+  psx: CONSOLE.PLAYSTATION,
+  ps1: CONSOLE.PLAYSTATION,
+  playstation: CONSOLE.PLAYSTATION,
+  ps2: CONSOLE.PLAYSTATION_2,
+  psp: CONSOLE.PSP,
+  pcengine: CONSOLE.PC_ENGINE,
+  tg16: CONSOLE.PC_ENGINE,
+  turbografx16: CONSOLE.PC_ENGINE,
+  pcenginecd: CONSOLE.PC_ENGINE_CD,
+  tgcd: CONSOLE.PC_ENGINE_CD,
+  atari2600: CONSOLE.ATARI_2600,
+  atari5200: CONSOLE.ATARI_5200,
+  atari7800: CONSOLE.ATARI_7800,
+  lynx: CONSOLE.ATARI_LYNX,
+  atarilynx: CONSOLE.ATARI_LYNX,
+  jaguar: CONSOLE.ATARI_JAGUAR,
+  ngp: CONSOLE.NEO_GEO_POCKET,
+  ngpc: CONSOLE.NEO_GEO_POCKET,
+  wonderswan: CONSOLE.WONDERSWAN,
+  wonderswancolor: CONSOLE.WONDERSWAN,
+  coleco: CONSOLE.COLECOVISION,
+  colecovision: CONSOLE.COLECOVISION,
+  intellivision: CONSOLE.INTELLIVISION,
+  vectrex: CONSOLE.VECTREX,
+  pokemini: CONSOLE.POKEMON_MINI,
+  virtualboy: CONSOLE.VIRTUAL_BOY,
+  msx: CONSOLE.MSX,
+  msx2: CONSOLE.MSX,
+  channelf: CONSOLE.FAIRCHILD_CHANNEL_F,
+  odyssey2: CONSOLE.MAGNAVOX_ODYSSEY2,
+  megaduck: CONSOLE.MEGA_DUCK,
+  arduboy: CONSOLE.ARDUBOY,
+  wasm4: CONSOLE.WASM4,
+  arcadia: CONSOLE.ARCADIA_2001,
+  vc4000: CONSOLE.INTERTON_VC_4000,
+  uzebox: CONSOLE.UZEBOX,
+  arcade: CONSOLE.ARCADE,
+  mame: CONSOLE.ARCADE,
+  fbneo: CONSOLE.ARCADE,
+}
+
+// Archives under an arcade folder are ROM sets, even in the system
+// subfolders some arcade emulators use (e.g. FBNeo's arcade/nes)
+const ARCHIVE_EXTENSIONS = new Set([".zip", ".7z", ".rar"])
+
+// Systems whose games are easily filed with each other's (e.g. Game Boy
+// Color games in a Game Boy folder), checked for ROMs that don't match
+const RELATED_CONSOLE_GROUPS = [
+  [CONSOLE.GAME_BOY, CONSOLE.GAME_BOY_COLOR, CONSOLE.GAME_BOY_ADVANCE],
+  [CONSOLE.NINTENDO_DS, CONSOLE.NINTENDO_DSI],
+  [
+    CONSOLE.GENESIS,
+    CONSOLE.SEGA_32X,
+    CONSOLE.MASTER_SYSTEM,
+    CONSOLE.GAME_GEAR,
+    CONSOLE.SG1000,
+  ],
+  [CONSOLE.SEGA_CD, CONSOLE.SATURN, CONSOLE.DREAMCAST],
+  [CONSOLE.PLAYSTATION, CONSOLE.PLAYSTATION_2, CONSOLE.PSP],
+  [CONSOLE.PC_ENGINE, CONSOLE.PC_ENGINE_CD],
+  [CONSOLE.ATARI_2600, CONSOLE.ATARI_5200, CONSOLE.ATARI_7800],
+  [CONSOLE.COLECOVISION, CONSOLE.MSX, CONSOLE.SG1000],
+]
+
+// Signatures at the start of the first data sector of Sega discs
+const SEGA_DISC_CONSOLES = {
+  "SEGADISCSYSTEM  ": CONSOLE.SEGA_CD,
+  "SEGA SEGASATURN ": CONSOLE.SATURN,
+  "SEGA SEGAKATANA ": CONSOLE.DREAMCAST,
+}
+
+// Magic word at 0x1C of a GameCube disc image
+const GAMECUBE_MAGIC = 0xc2339f3d
+
+/**
+ * Identify the system of a disc image from its boot area and file system
+ * @param {string} filePath - Path to the disc image
+ * @returns {Promise<Array<number>>} The detected console ID, or every disc system if unknown
+ */
+async function detectDiscConsoleIds(filePath) {
+  const ext = path.extname(filePath).toLowerCase()
+  if (ext === ".iso") {
+    const magic = await readBytes(filePath, 4, 0x1c)
+    if (magic.length === 4 && magic.readUInt32BE(0) === GAMECUBE_MAGIC) {
+      return [CONSOLE.GAMECUBE]
+    }
+  }
+
+  let track
+  try {
+    const tracks = await readTrackList(filePath)
+    if (
+      tracks.some(
+        (t) => t.number === 3 && t.firstSector === GD_ROM_HIGH_DENSITY_SECTOR
+      )
+    ) {
+      return [CONSOLE.DREAMCAST]
+    }
+
+    const dataTrack = tracks.find((t) => t.type !== "AUDIO")
+    if (!dataTrack) {
+      return DISC_CANDIDATES
+    }
+    track = await openTrack(dataTrack)
+  } catch (error) {
+    return DISC_CANDIDATES
+  }
+
+  try {
+    const signature = (await track.readSector(0, 16)).toString("latin1")
+    if (SEGA_DISC_CONSOLES[signature]) {
+      return [SEGA_DISC_CONSOLES[signature]]
+    }
+
+    const bootRecord = await track.readSector(1, 64)
+    if (bootRecord.toString("latin1", 32, 55) === "PC Engine CD-ROM SYSTEM") {
+      return [CONSOLE.PC_ENGINE_CD]
+    }
+
+    const systemCnf = await findFile(track, "SYSTEM.CNF")
+    if (systemCnf) {
+      const contents = (
+        await track.readSector(track.toTrackSector(systemCnf.sector))
+      ).toString("latin1")
+      return /^\s*BOOT2\s*=/m.test(contents)
+        ? [CONSOLE.PLAYSTATION_2]
+        : [CONSOLE.PLAYSTATION]
+    }
+    if (await findFile(track, "PSX.EXE")) {
+      return [CONSOLE.PLAYSTATION]
+    }
+    if (await findFile(track, "PSP_GAME/PARAM.SFO")) {
+      return [CONSOLE.PSP]
+    }
+  } catch (error) {
+    // Unreadable images fall through to the full list of disc systems
+  } finally {
+    await track.close()
+  }
+
+  return DISC_CANDIDATES
+}
+
+/**
+ * Work out which systems a ROM file may belong to, from its extension and,
+ * for extensions several systems share, its header or disc contents
+ * @param {string} filePath - Path to the ROM file
+ * @returns {Promise<Array<number>>} Candidate console IDs: one when the system is certain, several when ambiguous, none when unknown
+ */
+export async function detectConsoleIds(filePath) {
+  const ext = path.extname(filePath).toLowerCase()
+
+  if (ext === ".gb") {
+    // Game Boy Color-only cartridges set 0xC0 in the CGB flag of the header
+    const [cgbFlag] = await readBytes(filePath, 1, 0x143)
+    return [cgbFlag === 0xc0 ? CONSOLE.GAME_BOY_COLOR : CONSOLE.GAME_BOY]
+  }
+  if (EXTENSION_CONSOLES[ext]) {
+    return [EXTENSION_CONSOLES[ext]]
+  }
+
+  if (ext === ".bin") {
+    const header = await readBytes(filePath, 0x110)
+    const system = header.toString("latin1", 0x100, 0x110)
+    if (system.startsWith("SEGA 32X")) {
+      return [CONSOLE.SEGA_32X]
+    }
+    if (system.includes("SEGA")) {
+      return [CONSOLE.GENESIS]
+    }
+
+    // Raw disc tracks and Sega disc images are also saved as .bin
+    const candidates = await detectDiscConsoleIds(filePath)
+    return candidates === DISC_CANDIDATES
+      ? AMBIGUOUS_EXTENSION_CANDIDATES[".bin"]
+      : candidates
+  }
+  if (ext === ".rom") {
+    // MSX cartridges start with "AB"
+    const magic = (await readBytes(filePath, 2)).toString("latin1")
+    return magic === "AB"
+      ? [CONSOLE.MSX]
+      : AMBIGUOUS_EXTENSION_CANDIDATES[".rom"]
+  }
+  if (AMBIGUOUS_EXTENSION_CANDIDATES[ext]) {
+    return detectDiscConsoleIds(filePath)
+  }
+
+  return []
+}
+
+/**
+ * Get the other systems a ROM that didn't match its own system's hashes
+ * could belong to: systems related to its own, plus the system its contents
+ * point to
+ * @param {string} filePath - Path to the ROM file
+ * @param {number} consoleId - Console ID the ROM was checked against
+ * @returns {Promise<Array<number>>} Console IDs to check, not including consoleId
+ */
+export async function getRelatedConsoleIds(filePath, consoleId) {
+  const related = new Set(
+    RELATED_CONSOLE_GROUPS.filter((group) => group.includes(consoleId)).flat()
+  )
+
+  // Unreadable files still get their related systems checked
+  const detected = await detectConsoleIds(filePath).catch(() => [])
+  if (detected.length === 1) {
+    related.add(detected[0])
+  }
+
+  related.delete(consoleId)
+  return [...related]
+}
+
+/**
+ * Look up the system of a file from the folders it sits in, nearest first
+ * @param {string} relativePath - Path of the file relative to the scanned directory
+ * @param {Object<string, number>} folderSystems - Folder names (lowercase) mapped to console IDs
+ * @returns {number|null} Console ID, or null if no folder is mapped
+ */
+export function getFolderConsoleId(relativePath, folderSystems) {
+  const folders = path.dirname(relativePath).split(/[\\/]/).reverse()
+  for (const folder of folders) {
+    const consoleId = folderSystems[folder.toLowerCase()]
+    if (consoleId) {
+      return consoleId
+    }
+  }
+  return null
+}
+
+/**
+ * Create a function that picks the system of each file in a mixed directory.
+ * Archives under an arcade folder are arcade ROM sets. Other files whose
+ * contents identify one system use it; otherwise a folder mapping decides,
+ * and as a last resort chooseConsole is asked once per folder and extension
+ * @param {Object} options - Resolver options
+ * @param {Object<string, number>} options.folderSystems - Extra folder name to console ID mappings (override the defaults)
+ * @param {Function} options.chooseConsole - Optional async callback (candidateIds, relativePath) returning a console ID, or null to skip the files
+ * @returns {function(string, string): Promise<number|{skip: string}|null>} Resolver taking a file path and its relative path, returning null if the system is unknown
+ */
+export function createConsoleResolver(options = {}) {
+  const folderSystems = { ...DEFAULT_FOLDER_SYSTEMS }
+  for (const [folder, consoleId] of Object.entries(
+    options.folderSystems || {}
+  )) {
+    folderSystems[folder.toLowerCase()] = Number(consoleId)
+  }
+
+  // Answers to chooseConsole, keyed by folder and extension
+  const choices = new Map()
+
+  return async (filePath, relativePath) => {
+    if (ARCHIVE_EXTENSIONS.has(path.extname(relativePath).toLowerCase())) {
+      const folders = path.dirname(relativePath).split(/[\\/]/)
+      if (
+        folders.some((f) => folderSystems[f.toLowerCase()] === CONSOLE.ARCADE)
+      ) {
+        return CONSOLE.ARCADE
+      }
+    }
+
+    const candidates = await detectConsoleIds(filePath)
+    if (candidates.length === 1) {
+      return candidates[0]
+    }
+
+    const folderConsoleId = getFolderConsoleId(relativePath, folderSystems)
+    if (
+      folderConsoleId &&
+      (candidates.length === 0 || candidates.includes(folderConsoleId))
+    ) {
+      return folderConsoleId
+    }
+
+    if (candidates.length === 0 || !options.chooseConsole) {
+      return null
+    }
+
+    const key = `${path.dirname(relativePath)}|${path
+      .extname(relativePath)
+      .toLowerCase()}`
+    if (!choices.has(key)) {
+      choices.set(key, await options.chooseConsole(candidates, relativePath))
+    }
+    // A null answer means the user chose to skip these files
+    return choices.get(key) ?? { skip: "no system chosen" }
+  }
+}
@@ -0,0 +1,478 @@
+import fs from "fs"
+import path from "path"
+import {
+  GD_ROM_HIGH_DENSITY_SECTOR,
+  openChdTrack,
+  readChdTracks,
+} from "./chd.js"
+
+// Sync pattern at the start of every raw (2352-byte) data sector
+const SECTOR_SYNC = Buffer.from([
+  0x00, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x00,
+])
+
+// Bytes per sector for each CUE track type
+const CUE_SECTOR_SIZES = {
+  AUDIO: 2352,
+  CDG: 2448,
+  "MODE1/2048": 2048,
+  "MODE1/2352": 2352,
+  "MODE2/2048": 2048,
+  "MODE2/2324": 2324,
+  "MODE2/2336": 2336,
+  "MODE2/2352": 2352,
+}
+
+// Size of the user data area that file system reads work with
+export const SECTOR_DATA_SIZE = 2048
+
+// Extensions of images that are read as a disc rather than a plain file
+const DISC_IMAGE_EXTENSIONS = new Set([".cue", ".gdi", ".chd", ".cdi", ".iso"])
+
+// Why DiscJuggler images can't be read, shown when scanning skips them too
+export const CDI_UNSUPPORTED_MESSAGE =
+  "DiscJuggler (.cdi) images are not supported, convert them to GDI or CHD"
+
+/**
+ * @typedef {Object} TrackInfo
+ * @property {number} number - Track number
+ * @property {string} type - Track type (e.g. MODE2/2352, AUDIO)
+ * @property {string} file - Absolute path of the file holding the track
+ * @property {number} sectorSize - Bytes per sector in the file
+ * @property {number} fileOffset - Byte offset of the track's first sector in the file
+ * @property {number} firstSector - Absolute sector address (LBA) of the track on the disc
+ * @property {number} [chdFrame] - Frame index of the track's first sector in a CHD
+ */
+
+/**
+ * Convert a CUE sheet MSF timestamp (mm:ss:ff) to a sector count
+ * @param {string} msf - Timestamp in minutes:seconds:frames
+ * @returns {number} Number of sectors
+ */
+function msfToSectors(msf) {
+  const [minutes, seconds, frames] = msf.split(":").map((v) => parseInt(v, 10))
+  return (minutes * 60 + seconds) * 75 + frames
+}
+
+/**
+ * Parse a CUE sheet into its list of tracks
+ * @param {string} cuePath - Path to the .cue file
+ * @returns {Array<TrackInfo>} Tracks in disc order
+ */
+export function parseCueSheet(cuePath) {
+  const directory = path.dirname(cuePath)
+  const lines = fs.readFileSync(cuePath, "utf-8").split(/\r?\n/)
+  const tracks = []
+  let currentFile = null
+  let currentTrack = null
+  let highDensity = false
+
+  for (const line of lines) {
+    // Redump Dreamcast sheets mark where the GD-ROM high-density area begins
+    if (/^\s*REM\s+HIGH-DENSITY\s+AREA/i.test(line)) {
+      highDensity = true
+      continue
+    }
+
+    const fileMatch = line.match(/^\s*FILE\s+(?:"([^"]+)"|(\S+))/i)
+    if (fileMatch) {
+      currentFile = path.resolve(directory, fileMatch[1] || fileMatch[2])
+      continue
+    }
+
+    const trackMatch = line.match(/^\s*TRACK\s+(\d+)\s+(\S+)/i)
+    if (trackMatch) {
+      if (!currentFile) {
+        throw new Error(`TRACK before FILE in CUE sheet: ${cuePath}`)
+      }
+      const type = trackMatch[2].toUpperCase()
+      currentTrack = {
+        number: parseInt(trackMatch[1], 10),
+        type,
+        file: currentFile,
+        sectorSize: CUE_SECTOR_SIZES[type] || 2352,
+        index: null,
+        highDensity,
+      }
+      tracks.push(currentTrack)
+      continue
+    }
+
+    const indexMatch = line.match(/^\s*INDEX\s+01\s+(\d+:\d+:\d+)/i)
+    if (indexMatch && currentTrack) {
+      currentTrack.index = msfToSectors(indexMatch[1])
+    }
+  }
+
+  if (tracks.length === 0) {
+    throw new Error(`No tracks found in CUE sheet: ${cuePath}`)
+  }
+
+  // INDEX 01 positions are relative to the start of each FILE. Work out where
+  // each track starts in its file and on the disc as a whole
+  let fileStartSector = 0
+  for (let i = 0; i < tracks.length; i++) {
+    const track = tracks[i]
+    const previous = tracks[i - 1]
+    track.index = track.index || 0
+
+    if (track.highDensity && previous && !previous.highDensity) {
+      fileStartSector = GD_ROM_HIGH_DENSITY_SECTOR
+    } else if (previous && previous.file !== track.file) {
+      fileStartSector += Math.floor(
+        getFileSize(previous.file) / previous.sectorSize
+      )
+    }
+
+    if (previous && previous.file === track.file) {
+      track.fileOffset =
+        previous.fileOffset +
+        (track.index - previous.index) * previous.sectorSize
+    } else {
+      track.fileOffset = track.index * track.sectorSize
+    }
+    track.firstSector = fileStartSector + track.index
+  }
+
+  for (const track of tracks) {
+    delete track.index
+    delete track.highDensity
+  }
+
+  return tracks
+}
+
+/**
+ * Parse a Dreamcast GDI sheet into its list of tracks. After the track count,
+ * each line reads "number lba type sectorSize filename offset", where type 4
+ * is a data track and type 0 an audio track
+ * @param {string} gdiPath - Path to the .gdi file
+ * @returns {Array<TrackInfo>} Tracks in disc order
+ */
+export function parseGdiSheet(gdiPath) {
+  const directory = path.dirname(gdiPath)
+  const lines = fs.readFileSync(gdiPath, "utf-8").split(/\r?\n/).slice(1)
+  const tracks = []
+
+  for (const line of lines) {
+    const match = line.match(
+      /^\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s+(?:"([^"]+)"|(\S+))/
+    )
+    if (!match) continue
+
+    const sectorSize = parseInt(match[4], 10)
+    tracks.push({
+      number: parseInt(match[1], 10),
+      type: match[3] === "4" ? `MODE1/${sectorSize}` : "AUDIO",
+      file: path.resolve(directory, match[5] || match[6]),
+      sectorSize,
+      fileOffset: 0,
+      firstSector: parseInt(match[2], 10),
+    })
+  }
+
+  if (tracks.length === 0) {
+    throw new Error(`No tracks found in GDI sheet: ${gdiPath}`)
+  }
+
+  return tracks.sort((a, b) => a.number - b.number)
+}
+
+// Parsers for the sheet formats that list a disc's track files
+const TRACK_SHEET_PARSERS = {
+  ".cue": parseCueSheet,
+  ".gdi": parseGdiSheet,
+}
+
+/**
+ * Check if a file is a CUE or GDI sheet listing track files
+ * @param {string} filePath - Path to check
+ * @returns {boolean}
+ */
+export function isTrackSheet(filePath) {
+  return path.extname(filePath).toLowerCase() in TRACK_SHEET_PARSERS
+}
+
+/**
+ * Check if a file is a disc image (sheet, CHD or ISO) rather than a ROM dump
+ * @param {string} filePath - Path to check
+ * @returns {boolean}
+ */
+export function isDiscImage(filePath) {
+  return DISC_IMAGE_EXTENSIONS.has(path.extname(filePath).toLowerCase())
+}
+
+/**
+ * Get the size of a file referenced by a CUE sheet
+ * @param {string} filePath - Path to the file
+ * @returns {number} Size in bytes
+ */
+function getFileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size
+  } catch (err) {
+    throw new Error(`Missing track file ${path.basename(filePath)}`)
+  }
+}
+
+/**
+ * Collect the track files referenced by CUE or GDI sheets, so they are hashed
+ * as part of their disc rather than on their own
+ * @param {Array<string>} sheetPaths - Paths to CUE or GDI sheets
+ * @returns {Set<string>} Absolute paths of referenced track files
+ */
+export function getReferencedTrackFiles(sheetPaths) {
+  const referenced = new Set()
+
+  for (const sheetPath of sheetPaths) {
+    try {
+      const parseSheet =
+        TRACK_SHEET_PARSERS[path.extname(sheetPath).toLowerCase()]
+      for (const track of parseSheet(sheetPath)) {
+        referenced.add(track.file)
+      }
+    } catch (err) {
+      // Unreadable sheets are reported when the sheet itself is hashed
+    }
+  }
+
+  return referenced
+}
+
+/**
+ * Work out the layout of a single-track image (.iso, .bin) from its contents
+ * @param {string} imagePath - Path to the image file
+ * @returns {Promise<TrackInfo>} Track info for the image
+ */
+async function detectImageTrack(imagePath) {
+  const fileHandle = await fs.promises.open(imagePath, "r")
+  try {
+    const buffer = Buffer.alloc(SECTOR_SYNC.length)
+    await fileHandle.read(buffer, 0, buffer.length, 0)
+    const sectorSize = buffer.equals(SECTOR_SYNC) ? 2352 : 2048
+
+    return {
+      number: 1,
+      type: sectorSize === 2352 ? "MODE2/2352" : "MODE1/2048",
+      file: path.resolve(imagePath),
+      sectorSize,
+      fileOffset: 0,
+      firstSector: 0,
+    }
+  } finally {
+    await fileHandle.close()
+  }
+}
+
+/**
+ * Read the track list of a disc image
+ * @param {string} imagePath - Path to a .cue or .gdi sheet, .chd or single-track image
+ * @returns {Promise<Array<TrackInfo>>} Tracks in disc order
+ */
+export async function readTrackList(imagePath) {
+  const ext = path.extname(imagePath).toLowerCase()
+  if (ext in TRACK_SHEET_PARSERS) {
+    return TRACK_SHEET_PARSERS[ext](imagePath)
+  }
+  if (ext === ".chd") {
+    return readChdTracks(imagePath)
+  }
+  if (ext === ".cdi") {
+    throw new Error(CDI_UNSUPPORTED_MESSAGE)
+  }
+  return [await detectImageTrack(imagePath)]
+}
+
+/**
+ * Open a track of a disc image for sector reads
+ * @param {TrackInfo} trackInfo - Track to open
+ * @returns {Promise<Object>} Track with readSector, toTrackSector and close methods
+ */
+export async function openTrack(trackInfo) {
+  // CHD tracks are decompressed hunk by hunk instead of read from a file
+  if (trackInfo.chdFrame !== undefined) {
+    return openChdTrack(trackInfo)
+  }
+
+  const fileHandle = await fs.promises.open(trackInfo.file, "r")
+  const { sectorSize, fileOffset } = trackInfo
+
+  // Raw sectors carry a sync pattern and header before the user data. Mode 1
+  // data starts after 16 bytes, Mode 2 (XA) data after a further 8-byte subheader
+  let dataOffset = 0
+  if (sectorSize === 2352) {
+    const header = Buffer.alloc(16)
+    await fileHandle.read(header, 0, 16, fileOffset)
+    if (header.subarray(0, 12).equals(SECTOR_SYNC)) {
+      dataOffset = header[15] === 2 ? 24 : 16
+    }
+  } else if (sectorSize === 2336) {
+    dataOffset = 8
+  }
+
+  return {
+    ...trackInfo,
+
+    /**
+     * Read user data from a sector of the track
+     * @param {number} sector - Sector number relative to the start of the track
+     * @param {number} length - Number of bytes to read (up to one sector of data)
+     * @returns {Promise<Buffer>} Sector data (empty past the end of the file)
+     */
+    async readSector(sector, length = SECTOR_DATA_SIZE) {
+      const buffer = Buffer.alloc(length)
+      const { bytesRead } = await fileHandle.read(
+        buffer,
+        0,
+        length,
+        fileOffset + sector * sectorSize + dataOffset
+      )
+      return buffer.subarray(0, bytesRead)
+    },
+
+    /**
+     * Convert an absolute disc sector address to one relative to this track
+     * @param {number} sector - Absolute sector address (LBA)
+     * @returns {number} Sector number relative to the track
+     */
+    toTrackSector(sector) {
+      return sector - trackInfo.firstSector
+    },
+
+    async close() {
+      await fileHandle.close()
+    },
+  }
+}
+
+/**
+ * Open a track of a disc image by its number
+ * @param {string} imagePath - Path to a .cue or .gdi sheet, .chd or single-track image
+ * @param {number} number - Track number
+ * @returns {Promise<Object>} Opened track (see openTrack)
+ */
+export async function openTrackByNumber(imagePath, number) {
+  const tracks = await readTrackList(imagePath)
+  const track = tracks.find((t) => t.number === number)
+  if (!track) {
+    throw new Error(`Disc image has no track ${number}`)
+  }
+  return openTrack(track)
+}
+
+/**
+ * Open the last track of a disc image
+ * @param {string} imagePath - Path to a .cue or .gdi sheet, .chd or single-track image
+ * @returns {Promise<Object>} Opened track (see openTrack)
+ */
+export async function openLastTrack(imagePath) {
+  const tracks = await readTrackList(imagePath)
+  return openTrack(tracks[tracks.length - 1])
+}
+
+/**
+ * Open the first data track of a disc image
+ * @param {string} imagePath - Path to a .cue or .gdi sheet, .chd or single-track image
+ * @returns {Promise<Object>} Opened track (see openTrack)
+ */
+export async function openFirstDataTrack(imagePath) {
+  const tracks = await readTrackList(imagePath)
+  const dataTrack = tracks.find((t) => t.type !== "AUDIO")
+  if (!dataTrack) {
+    throw new Error("Disc image has no data track")
+  }
+  return openTrack(dataTrack)
+}
+
+/**
+ * Find a file in the ISO9660 file system of a data track
+ * @param {Object} track - Opened track
+ * @param {string} filePath - Path of the file, using \ or / as separators
+ * @returns {Promise<{sector: number, size: number}|null>} Absolute sector and size of the file, or null if not found
+ */
+export async function findFile(track, filePath) {
+  const descriptor = await track.readSector(16)
+  if (descriptor.toString("latin1", 1, 6) !== "CD001") {
+    return null
+  }
+
+  // The root directory record sits 156 bytes into the primary volume descriptor
+  let entry = {
+    sector: descriptor.readUInt32LE(156 + 2),
+    size: descriptor.readUInt32LE(156 + 10),
+  }
+
+  const parts = filePath.split(/[\\/]/).filter((p) => p.length > 0)
+  for (const part of parts) {
+    entry = await findDirectoryEntry(track, entry, part)
+    if (!entry) {
+      return null
+    }
+  }
+
+  return entry
+}
+
+/**
+ * Find an entry by name in an ISO9660 directory
+ * @param {Object} track - Opened track
+ * @param {{sector: number, size: number}} directory - Directory extent
+ * @param {string} name - Entry name (compared case-insensitively, without version)
+ * @returns {Promise<{sector: number, size: number}|null>} Entry extent, or null if not found
+ */
+async function findDirectoryEntry(track, directory, name) {
+  const wanted = name.toUpperCase()
+  const sectorCount = Math.ceil(directory.size / SECTOR_DATA_SIZE)
+  const firstSector = track.toTrackSector(directory.sector)
+
+  for (let i = 0; i < sectorCount; i++) {
+    const data = await track.readSector(firstSector + i)
+    let offset = 0
+
+    // Records never span sectors; a zero length means the rest is padding
+    while (offset < data.length && data[offset] > 0) {
+      const recordLength = data[offset]
+      const nameLength = data[offset + 32]
+      const entryName = data
+        .toString("latin1", offset + 33, offset + 33 + nameLength)
+        .replace(/;\d*$/, "")
+        .replace(/\.$/, "")
+        .toUpperCase()
+
+      if (entryName === wanted) {
+        return {
+          sector: data.readUInt32LE(offset + 2),
+          size: data.readUInt32LE(offset + 10),
+        }
+      }
+      offset += recordLength
+    }
+  }
+
+  return null
+}
+
+/**
+ * Feed the contents of a file on a data track into a hash
+ * @param {Object} track - Opened track
+ * @param {number} sector - Absolute sector of the file's first sector
+ * @param {number} size - Number of bytes to hash
+ * @param {crypto.Hash} hash - Hash to update
+ */
+export async function hashTrackFile(track, sector, size, hash) {
+  let remaining = size
+  let current = track.toTrackSector(sector)
+
+  while (remaining > 0) {
+    const data = await track.readSector(
+      current,
+      Math.min(remaining, SECTOR_DATA_SIZE)
+    )
+    if (data.length === 0) {
+      throw new Error("Unexpected end of disc image while reading file")
+    }
+    hash.update(data)
+    remaining -= data.length
+    current++
+  }
+}
@@ -2,18 +2,54 @@ import chalk from "chalk"
 import Table from "cli-table3"
 import { formatSize } from "./scanner.js"
 
+// Box-drawing characters shared by the report tables
+const TABLE_CHARS = {
+  top: "─",
+  "top-mid": "┬",
+  "top-left": "┌",
+  "top-right": "┐",
+  bottom: "─",
+  "bottom-mid": "┴",
+  "bottom-left": "└",
+  "bottom-right": "┘",
+  left: "│",
+  "left-mid": "├",
+  mid: "─",
+  "mid-mid": "┼",
+  right: "│",
+  "right-mid": "┤",
+  middle: "│",
+}
+
+// Labels for the highest award a user has earned for a game
+const AWARD_LABELS = {
+  mastered: chalk.yellow.bold("★ Mastered"),
+  completed: chalk.yellow("★ Completed"),
+  "beaten-hardcore": chalk.green("Beaten"),
+  "beaten-softcore": chalk.green("Beaten (softcore)"),
+}
+
 /**
  * Display results in a formatted table
  * @param {Array} results - Array of result objects from comparison
  * @param {Object} options - Display options
+ * @param {string} options.consoleName - System name for the report title
+ * @param {number|null} options.dataFetchedAt - When the hash data was fetched (ms since epoch)
+ * @param {boolean} options.showSystems - Add a System column (mixed-system scans)
+ * @param {boolean} options.showProgress - List the user's progress for matched games
  */
 export function displayResults(results, options = {}) {
-  const { consoleName = "Unknown System" } = options
+  const {
+    consoleName = "Unknown System",
+    dataFetchedAt = null,
+    showSystems = false,
+    showProgress = false,
+  } = options
 
-  // Separate matched and unmatched
+  // Separate matched, recognized (no achievements yet) and unmatched
   const matched = results.filter((r) => r.match)
-  const unmatched = results.filter((r) => !r.match)
-  const errors = results.filter((r) => r.error)
+  const recognized = results.filter((r) => r.recognized)
+  const unmatched = results.filter((r) => !r.match && !r.recognized)
 
   console.log("\n")
   console.log(chalk.bold.cyan("━".repeat(145)))
@@ -23,42 +59,37 @@ export function displayResults(results, options = {}) {
   console.log(chalk.bold.cyan("━".repeat(145)))
   console.log("\n")
 
+  // Mixed-system scans get a System column after the file name
+  const withSystem = (cells, system) =>
+    showSystems ? [cells[0], system, ...cells.slice(1)] : cells
+
   // Create table
   const table = new Table({
-    head: [
-      chalk.bold.white("ROM File"),
-      chalk.bold.white("RA Match"),
-      chalk.bold.white("Achievements"),
-      chalk.bold.white("Game URL"),
-    ],
-    colWidths: [40, 35, 12, 50],
+    head: withSystem(
+      [
+        chalk.bold.white("ROM File"),
+        chalk.bold.white("RA Match"),
+        chalk.bold.white("Achievements"),
+        chalk.bold.white("Game URL"),
+      ],
+      chalk.bold.white("System")
+    ),
+    colWidths: showSystems ? [36, 20, 33, 12, 44] : [40, 35, 12, 50],
     style: {
       head: [],
       border: ["gray"],
     },
-    chars: {
-      top: "─",
-      "top-mid": "┬",
-      "top-left": "┌",
-      "top-right": "┐",
-      bottom: "─",
-      "bottom-mid": "┴",
-      "bottom-left": "└",
-      "bottom-right": "┘",
-      left: "│",
-      "left-mid": "├",
-      mid: "─",
-      "mid-mid": "┼",
-      right: "│",
-      "right-mid": "┤",
-      middle: "│",
-    },
+    chars: TABLE_CHARS,
   })
 
-  // Sort: matched first (sorted by game title), then unmatched (sorted by filename)
+  // Sort: matched first (sorted by game title), then recognized (sorted by
+  // game title), then unmatched (sorted by filename)
   const sortedMatched = [...matched].sort((a, b) =>
     (a.match?.title || "").localeCompare(b.match?.title || "")
   )
+  const sortedRecognized = [...recognized].sort((a, b) =>
+    a.recognized.title.localeCompare(b.recognized.title)
+  )
   const sortedUnmatched = [...unmatched].sort((a, b) =>
     a.filename.localeCompare(b.filename)
   )
@@ -68,55 +99,651 @@ export function displayResults(results, options = {}) {
     const filename = truncateString(result.filename, 38)
     const title = truncateString(result.match.title, 33)
     const achievements = result.match.numAchievements
-    const gameUrl = `https://retroachievements.org/game/${result.match.id}`
+    const gameUrl = getGameUrl(result.match.id)
 
-    table.push([
-      chalk.green(filename),
-      chalk.green(title),
-      chalk.green.bold(achievements.toString()),
-      chalk.cyan(gameUrl),
-    ])
+    table.push(
+      withSystem(
+        [
+          chalk.green(filename),
+          chalk.green(title),
+          chalk.green.bold(achievements.toString()),
+          chalk.cyan(gameUrl),
+        ],
+        truncateString(result.consoleName || "-", 18)
+      )
+    )
+  }
+
+  // Add recognized rows
+  for (const result of sortedRecognized) {
+    const gameUrl = getGameUrl(result.recognized.id)
+
+    table.push(
+      withSystem(
+        [
+          chalk.blue(truncateString(result.filename, 38)),
+          chalk.blue(
+            `${truncateString(result.recognized.title, 33)}\n` +
+              chalk.dim("No achievements yet")
+          ),
+          chalk.dim("0"),
+          chalk.cyan(gameUrl),
+        ],
+        chalk.dim(truncateString(result.consoleName || "-", 18))
+      )
+    )
   }
 
   // Add unmatched rows
   for (const result of sortedUnmatched) {
+    const system = chalk.dim(truncateString(result.consoleName || "-", 18))
     if (result.error) {
-      table.push([
-        chalk.red(truncateString(result.filename, 38)),
-        chalk.red("⚠ Error reading file"),
-        chalk.dim("-"),
-        chalk.dim("-"),
-      ])
+      table.push(
+        withSystem(
+          [
+            chalk.red(truncateString(result.filename, 38)),
+            chalk.red("⚠ Error reading file"),
+            chalk.dim("-"),
+            chalk.dim("-"),
+          ],
+          system
+        )
+      )
+    } else if (result.otherMatch) {
+      // Found in another system's hashes, so probably filed in the wrong place
+      const other = result.otherMatch
+      table.push(
+        withSystem(
+          [
+            chalk.magenta(truncateString(result.filename, 38)),
+            chalk.magenta(
+              `matches ${truncateString(other.title, 25)}\n` +
+                `on ${truncateString(other.consoleName, 30)}`
+            ),
+            chalk.magenta(other.numAchievements.toString()),
+            chalk.cyan(getGameUrl(other.id)),
+          ],
+          system
+        )
+      )
     } else {
-      table.push([
-        chalk.yellow(truncateString(result.filename, 38)),
-        chalk.yellow("✗ No match found"),
-        chalk.dim("-"),
-        chalk.dim("-"),
-      ])
+      table.push(
+        withSystem(
+          [
+            chalk.yellow(truncateString(result.filename, 38)),
+            chalk.yellow("✗ No match found"),
+            chalk.dim("-"),
+            chalk.dim("-"),
+          ],
+          system
+        )
+      )
     }
   }
 
   console.log(table.toString())
 
+  if (showProgress) {
+    displayProgress(matched)
+  }
+
+  displayHashVersions(results)
+  displaySuggestions(results)
+  displayRemovedHeaders(results)
+
   // Summary section
   console.log("\n")
-  displaySummary(
-    matched.length,
-    unmatched.length - errors.length,
-    errors.length
+  displaySummary(summarizeResults(results), dataFetchedAt)
+}
+
+/**
+ * Get the match state of a result
+ * @param {Object} result - Result object from comparison
+ * @returns {"matched"|"recognized"|"unmatched"|"error"}
+ */
+export function getResultStatus(result) {
+  if (result.error) return "error"
+  if (result.match) return "matched"
+  if (result.recognized) return "recognized"
+  return "unmatched"
+}
+
+/**
+ * Get the RetroAchievements page of a game
+ * @param {number} gameId - Game ID
+ * @returns {string}
+ */
+export function getGameUrl(gameId) {
+  return `https://retroachievements.org/game/${gameId}`
+}
+
+/**
+ * Describe a matched game for machine-readable reports
+ * @param {Object} game - Game info from the hash map
+ * @returns {Object}
+ */
+function describeGame(game) {
+  return {
+    id: game.id,
+    title: game.title,
+    numAchievements: game.numAchievements,
+    numLeaderboards: game.numLeaderboards,
+    points: game.points,
+    imageIcon: game.imageIcon ?? null,
+    url: getGameUrl(game.id),
+  }
+}
+
+/**
+ * Build a machine-readable JSON report of a scan
+ * @param {Array} results - Array of result objects from comparison
+ * @param {Object} scan - Scan metadata
+ * @param {string} scan.directory - Scanned directory
+ * @param {{id: number|null, name: string}} scan.console - Selected console (id is null for mixed-system scans)
+ * @param {string} scan.toolVersion - Version of this tool
+ * @param {number|null} scan.dataFetchedAt - When the hash data was fetched (ms since epoch)
+ * @returns {string} JSON document
+ */
+export function formatJsonReport(results, scan) {
+  const roms = [...results]
+    .sort((a, b) => a.filename.localeCompare(b.filename))
+    .map((result) => ({
+      file: result.filename,
+      path: result.path ?? null,
+      archiveMember: result.romName ?? null,
+      size: result.size ?? null,
+      system: result.consoleId
+        ? { id: result.consoleId, name: result.consoleName ?? null }
+        : null,
+      status: getResultStatus(result),
+      hash: result.hash ?? null,
+      hashMethod: result.hashMethod ?? null,
+      header: result.header ?? null,
+      match: result.match ? describeGame(result.match) : null,
+      recognized: result.recognized ? describeGame(result.recognized) : null,
+      hashInfo: result.hashInfo ?? null,
+      otherSystemMatch: result.otherMatch
+        ? {
+            ...describeGame(result.otherMatch),
+            system: {
+              id: result.otherMatch.consoleId,
+              name: result.otherMatch.consoleName,
+            },
+          }
+        : null,
+      acceptedHashes: result.acceptedHashes?.hashes ?? null,
+      suggestions:
+        result.suggestions?.map((game) => ({
+          ...describeGame(game),
+          similarity: Number(game.score.toFixed(3)),
+        })) ?? null,
+      progress: result.progress ?? null,
+      error: result.error ?? null,
+    }))
+
+  const summary = summarizeResults(results)
+  summary.matchRate = Number(summary.matchRate.toFixed(1))
+
+  const report = {
+    scan: {
+      directory: scan.directory,
+      console: scan.console,
+      timestamp: new Date().toISOString(),
+      toolVersion: scan.toolVersion,
+      hashDataFetchedAt: scan.dataFetchedAt
+        ? new Date(scan.dataFetchedAt).toISOString()
+        : null,
+    },
+    roms,
+    summary,
+  }
+  return JSON.stringify(report, null, 2) + "\n"
+}
+
+/**
+ * Quote a CSV field when it contains the delimiter, a quote or a line break
+ * @param {*} value - Field value (null and undefined become empty)
+ * @param {string} delimiter - Field delimiter
+ * @returns {string}
+ */
+function formatCsvField(value, delimiter) {
+  const text = value == null ? "" : String(value)
+  if (
+    text.includes(delimiter) ||
+    text.includes('"') ||
+    text.includes("\n") ||
+    text.includes("\r")
+  ) {
+    return `"${text.replace(/"/g, '""')}"`
+  }
+  return text
+}
+
+/**
+ * Build a CSV report of a scan, one row per ROM, for spreadsheets
+ * @param {Array} results - Array of result objects from comparison
+ * @param {Object} scan - Scan metadata (unused, for a common report signature)
+ * @param {Object} options - CSV options
+ * @param {string} options.delimiter - Field delimiter (default ",")
+ * @returns {string} CSV document with a header row and CRLF line endings
+ */
+export function formatCsvReport(results, scan, options = {}) {
+  const { delimiter = "," } = options
+
+  const rows = [
+    [
+      "Status",
+      "File",
+      "Archive",
+      "System",
+      "Hash",
+      "Hash Method",
+      "RA Game ID",
+      "Title",
+      "Achievements",
+      "Game URL",
+      "Error",
+    ],
+  ]
+
+  const sorted = [...results].sort((a, b) =>
+    a.filename.localeCompare(b.filename)
+  )
+  for (const result of sorted) {
+    // Games without achievements yet still have an RA entry to link to
+    const game = result.match || result.recognized
+    rows.push([
+      getResultStatus(result),
+      result.romName ?? result.filename,
+      result.romName ? result.archiveName : "",
+      result.consoleName,
+      result.hash,
+      result.hashMethod,
+      game?.id,
+      game?.title,
+      game?.numAchievements,
+      game ? getGameUrl(game.id) : "",
+      result.error,
+    ])
+  }
+
+  return (
+    rows
+      .map((row) =>
+        row.map((value) => formatCsvField(value, delimiter)).join(delimiter)
+      )
+      .join("\r\n") + "\r\n"
+  )
+}
+
+/**
+ * Escape text for a Markdown table cell, so names with pipes, brackets or
+ * emphasis characters render as written
+ * @param {*} value - Cell text (null and undefined become empty)
+ * @returns {string}
+ */
+function escapeMarkdown(value) {
+  return String(value ?? "")
+    .replace(/[\\`*_[\]<>|~&]/g, "\\$&")
+    .replace(/\s*[\r\n]+\s*/g, " ")
+}
+
+/**
+ * Build a Markdown link to a game's RetroAchievements page
+ * @param {Object} game - Game info from the hash map
+ * @returns {string}
+ */
+function markdownGameLink(game) {
+  return `[${escapeMarkdown(game.title)}](${getGameUrl(game.id)})`
+}
+
+/**
+ * Build a GitHub-flavored Markdown table, or a note when it has no rows
+ * @param {Array<string>} headers - Column headers (already escaped)
+ * @param {Array<Array<string>>} rows - Table cells (already escaped)
+ * @param {string} emptyText - Shown instead of an empty table
+ * @returns {string}
+ */
+function formatMarkdownTable(headers, rows, emptyText) {
+  if (rows.length === 0) return `_${emptyText}_`
+  return [headers, headers.map(() => "---"), ...rows]
+    .map((row) => `| ${row.join(" | ")} |`)
+    .join("\n")
+}
+
+/**
+ * Build a Markdown report of a scan, for GitHub issues and wikis
+ * @param {Array} results - Array of result objects from comparison
+ * @param {Object} scan - Scan metadata
+ * @param {string} scan.directory - Scanned directory
+ * @param {{id: number|null, name: string}} scan.console - Selected console (id is null for mixed-system scans)
+ * @param {string} scan.toolVersion - Version of this tool
+ * @param {number|null} scan.dataFetchedAt - When the hash data was fetched (ms since epoch)
+ * @returns {string} Markdown document
+ */
+export function formatMarkdownReport(results, scan) {
+  const sorted = [...results].sort((a, b) =>
+    a.filename.localeCompare(b.filename)
+  )
+  const summary = summarizeResults(results)
+
+  const summaryRows = [["Matched", summary.matched]]
+  if (summary.recognized > 0) {
+    summaryRows.push(["Recognized (no achievements yet)", summary.recognized])
+  }
+  summaryRows.push(["Unmatched", summary.unmatched])
+  if (summary.otherSystem > 0) {
+    summaryRows.push(["↳ Match a game on another system", summary.otherSystem])
+  }
+  if (summary.errors > 0) {
+    summaryRows.push(["Errors", summary.errors])
+  }
+  summaryRows.push(
+    ["**Total**", `**${summary.total}**`],
+    ["**Match rate**", `**${summary.matchRate.toFixed(1)}%**`]
+  )
+
+  const matchedRows = sorted
+    .filter((r) => r.match || r.recognized)
+    .map((result) => {
+      const game = result.match || result.recognized
+      const version = result.hashInfo?.name
+        ? `<br>${escapeMarkdown(result.hashInfo.name)}`
+        : ""
+      return [
+        markdownGameLink(game) + version,
+        escapeMarkdown(result.filename),
+        escapeMarkdown(result.consoleName),
+        result.match ? String(game.numAchievements) : "None yet",
+        String(game.points),
+        `\`${result.hash}\``,
+      ]
+    })
+
+  const unmatchedRows = sorted
+    .filter((r) => getResultStatus(r) === "unmatched")
+    .map((result) => {
+      const notes = []
+      if (result.otherMatch) {
+        notes.push(
+          `Matches ${markdownGameLink(result.otherMatch)} on ${escapeMarkdown(
+            result.otherMatch.consoleName
+          )}`
+        )
+      }
+      if (result.acceptedHashes?.hashes.length > 0) {
+        const names = result.acceptedHashes.hashes
+          .map((hash) => escapeMarkdown(hash.name || hash.md5))
+          .join(", ")
+        notes.push(`Accepted versions: ${names}`)
+      }
+      if (result.suggestions?.length > 0) {
+        notes.push(
+          `Did you mean ${result.suggestions.map(markdownGameLink).join(", ")}?`
+        )
+      }
+      return [
+        escapeMarkdown(result.filename),
+        escapeMarkdown(result.consoleName),
+        `\`${result.hash}\``,
+        notes.join("<br>"),
+      ]
+    })
+
+  const errorRows = sorted
+    .filter((r) => r.error)
+    .map((result) => [
+      escapeMarkdown(result.filename),
+      escapeMarkdown(result.consoleName),
+      escapeMarkdown(result.error),
+    ])
+
+  const hashData = scan.dataFetchedAt
+    ? `, hash data fetched ${new Date(scan.dataFetchedAt).toISOString()}`
+    : ""
+
+  return (
+    [
+      "## RetroAchievements ROM Report",
+      `**${escapeMarkdown(scan.console.name)}** · ${escapeMarkdown(
+        scan.directory
+      )}  \nScanned ${new Date().toISOString()}${hashData} · ${escapeMarkdown(
+        `RetroAchievements ROM Hash Checker ${scan.toolVersion}`
+      )}`,
+      "### Summary",
+      formatMarkdownTable(
+        ["", "ROMs"],
+        summaryRows.map(([label, count]) => [label, String(count)]),
+        "No ROMs scanned."
+      ),
+      `### ${summary.recognized > 0 ? "Matched and Recognized" : "Matched"} (${
+        matchedRows.length
+      })`,
+      formatMarkdownTable(
+        ["Game", "File", "System", "Achievements", "Points", "Hash"],
+        matchedRows,
+        "No ROMs matched."
+      ),
+      `### Unmatched (${unmatchedRows.length})`,
+      formatMarkdownTable(
+        ["File", "System", "Hash", "Notes"],
+        unmatchedRows,
+        "Every ROM matched."
+      ),
+      `### Errors (${errorRows.length})`,
+      formatMarkdownTable(["File", "System", "Error"], errorRows, "No errors."),
+    ].join("\n\n") + "\n"
+  )
+}
+
+/**
+ * Count the results in each match state
+ * @param {Array} results - Array of result objects from comparison
+ * @returns {{total: number, matched: number, recognized: number, unmatched: number, errors: number, otherSystem: number, matchRate: number}} Counts, and the match rate in percent
+ */
+export function summarizeResults(results) {
+  const matched = results.filter((r) => r.match).length
+  const recognized = results.filter((r) => r.recognized).length
+  const errors = results.filter((r) => r.error).length
+  const total = results.length
+
+  return {
+    total,
+    matched,
+    recognized,
+    unmatched: total - matched - recognized - errors,
+    errors,
+    otherSystem: results.filter((r) => r.otherMatch).length,
+    matchRate: total > 0 ? (matched / total) * 100 : 0,
+  }
+}
+
+/**
+ * Display the user's achievement progress for each matched game
+ * @param {Array} matched - Matched results, with progress from getUserProgress (null if never played)
+ */
+function displayProgress(matched) {
+  // Several ROMs can match the same game
+  const games = new Map()
+  for (const result of matched) {
+    games.set(result.match.id, result)
+  }
+  const sorted = [...games.values()].sort((a, b) =>
+    a.match.title.localeCompare(b.match.title)
+  )
+
+  const table = new Table({
+    head: [
+      chalk.bold.white("Game"),
+      chalk.bold.white("Softcore"),
+      chalk.bold.white("Hardcore"),
+      chalk.bold.white("Status"),
+      chalk.bold.white("Points"),
+    ],
+    colWidths: [40, 12, 12, 22, 10],
+    style: {
+      head: [],
+      border: ["gray"],
+    },
+    chars: TABLE_CHARS,
+  })
+
+  let finished = 0
+  for (const { match, progress } of sorted) {
+    const total = progress?.maxPossible || match.numAchievements
+    const softcore = progress?.numAwarded || 0
+    const hardcore = progress?.numAwardedHardcore || 0
+
+    let status
+    if (progress?.highestAwardKind) {
+      status =
+        AWARD_LABELS[progress.highestAwardKind] || progress.highestAwardKind
+    } else if (softcore > 0) {
+      status = chalk.cyan("In progress")
+    } else {
+      status = chalk.dim("Not started")
+    }
+    if (["mastered", "completed"].includes(progress?.highestAwardKind)) {
+      finished++
+    }
+
+    table.push([
+      truncateString(match.title, 38),
+      `${softcore}/${total}`,
+      `${hardcore}/${total}`,
+      status,
+      match.points.toString(),
+    ])
+  }
+
+  console.log("\n")
+  console.log(chalk.bold("Your Progress"))
+  console.log(table.toString())
+  console.log(
+    chalk.dim(
+      `  ${finished} of ${sorted.length} matched games completed or mastered`
+    )
+  )
+}
+
+/**
+ * Format a hash's name with its labels and patch marker
+ * @param {{name: string|null, labels: Array<string>, patchUrl: string|null}} hash - Hash info from getGameHashInfo
+ * @returns {string}
+ */
+function formatHashVersion(hash) {
+  const tags = [...hash.labels, ...(hash.patchUrl ? ["patched"] : [])]
+  return (
+    (hash.name || chalk.dim("(unnamed)")) +
+    (tags.length > 0 ? chalk.dim(` [${tags.join(", ")}]`) : "")
   )
 }
 
+/**
+ * List the dump each matched hash is, and the versions RetroAchievements
+ * accepts for unmatched ROMs of matched games (from --hash-labels)
+ * @param {Array} results - Array of result objects from comparison
+ */
+function displayHashVersions(results) {
+  const matched = results
+    .filter((r) => r.hashInfo)
+    .sort((a, b) => a.filename.localeCompare(b.filename))
+  const unmatched = results
+    .filter((r) => r.acceptedHashes)
+    .sort((a, b) => a.filename.localeCompare(b.filename))
+
+  if (matched.length > 0) {
+    console.log("\n")
+    console.log(chalk.bold("Matched versions"))
+    console.log(chalk.dim("─".repeat(40)))
+    for (const result of matched) {
+      console.log(
+        `  ${result.filename} ${chalk.dim("→")} ${formatHashVersion(
+          result.hashInfo
+        )}`
+      )
+      if (result.hashInfo.patchUrl) {
+        console.log(chalk.dim(`      Patch: ${result.hashInfo.patchUrl}`))
+      }
+    }
+  }
+
+  if (unmatched.length > 0) {
+    console.log("\n")
+    console.log(chalk.bold("Versions RetroAchievements accepts"))
+    console.log(chalk.dim("─".repeat(40)))
+    for (const result of unmatched) {
+      const { game, hashes } = result.acceptedHashes
+      console.log(
+        `  ${chalk.yellow(result.filename)} ${chalk.dim(
+          `(${game.title}, ${getGameUrl(game.id)}/hashes)`
+        )}`
+      )
+      for (const hash of hashes) {
+        console.log(`    • ${formatHashVersion(hash)}`)
+      }
+    }
+  }
+}
+
+/**
+ * List the games whose titles resemble each unmatched ROM's file name
+ * (from --suggest)
+ * @param {Array} results - Array of result objects from comparison
+ */
+function displaySuggestions(results) {
+  const unmatched = results
+    .filter((r) => r.suggestions)
+    .sort((a, b) => a.filename.localeCompare(b.filename))
+
+  if (unmatched.length === 0) return
+
+  console.log("\n")
+  console.log(chalk.bold("Possible games for unmatched ROMs"))
+  console.log(chalk.dim("─".repeat(40)))
+  for (const result of unmatched) {
+    console.log(`  ${chalk.yellow(result.filename)}`)
+    if (result.suggestions.length === 0) {
+      console.log(chalk.dim("    No similar titles found"))
+    }
+    for (const game of result.suggestions) {
+      const similarity = Math.round(game.score * 100)
+      console.log(
+        `    • ${game.title} ${chalk.dim(`(${similarity}% similar)`)} ` +
+          chalk.cyan(`${getGameUrl(game.id)}/hashes`)
+      )
+    }
+  }
+}
+
+/**
+ * List files that had a header left out of their hash
+ * @param {Array} results - Array of result objects from comparison
+ */
+function displayRemovedHeaders(results) {
+  const headered = results
+    .filter((r) => r.header)
+    .sort((a, b) => a.filename.localeCompare(b.filename))
+
+  if (headered.length === 0) return
+
+  console.log("\n")
+  console.log(chalk.bold("Headers removed before hashing"))
+  console.log(chalk.dim("─".repeat(40)))
+  for (const result of headered) {
+    console.log(
+      `  ${result.filename} ${chalk.dim(`(${result.header} header)`)}`
+    )
+  }
+}
+
 /**
  * Display summary statistics
- * @param {number} matched - Number of matched ROMs
- * @param {number} unmatched - Number of unmatched ROMs
- * @param {number} errors - Number of error ROMs
+ * @param {Object} summary - Counts from summarizeResults
+ * @param {number|null} dataFetchedAt - When the hash data was fetched (ms since epoch)
  */
-function displaySummary(matched, unmatched, errors) {
-  const total = matched + unmatched + errors
-  const matchRate = total > 0 ? ((matched / total) * 100).toFixed(1) : 0
+function displaySummary(summary, dataFetchedAt) {
+  const { total, matched, recognized, unmatched, errors, otherSystem } = summary
 
   console.log(chalk.bold("Summary"))
   console.log(chalk.dim("─".repeat(40)))
@@ -124,32 +751,70 @@ function displaySummary(matched, unmatched, errors) {
   console.log(
     `  ${chalk.green("●")} Matched:   ${chalk.green.bold(matched)} ROMs`
   )
+  if (recognized > 0) {
+    console.log(
+      `  ${chalk.blue("●")} Recognized: ${chalk.blue.bold(
+        recognized
+      )} ROMs ${chalk.dim("(no achievements yet)")}`
+    )
+  }
   console.log(
     `  ${chalk.yellow("●")} Unmatched: ${chalk.yellow.bold(unmatched)} ROMs`
   )
+  if (otherSystem > 0) {
+    console.log(
+      chalk.magenta(`    ↳ ${otherSystem} match a game on another system`)
+    )
+  }
   if (errors > 0) {
     console.log(`  ${chalk.red("●")} Errors:    ${chalk.red.bold(errors)} ROMs`)
   }
   console.log(chalk.dim("─".repeat(40)))
   console.log(`  Total:     ${chalk.bold(total)} ROMs scanned`)
-  console.log(`  Match Rate: ${chalk.cyan.bold(matchRate + "%")}`)
+  console.log(
+    `  Match Rate: ${chalk.cyan.bold(summary.matchRate.toFixed(1) + "%")}`
+  )
+  if (dataFetchedAt) {
+    console.log(
+      `  Hash Data:  ${chalk.dim(`fetched ${formatAge(dataFetchedAt)}`)}`
+    )
+  }
   console.log("\n")
 }
 
+/**
+ * Describe how long ago a timestamp was, e.g. "3 hours ago"
+ * @param {number} timestamp - Time in ms since epoch
+ * @returns {string}
+ */
+export function formatAge(timestamp) {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000)
+  if (minutes < 1) return "just now"
+
+  const [value, unit] =
+    minutes < 60
+      ? [minutes, "minute"]
+      : minutes < 48 * 60
+      ? [Math.floor(minutes / 60), "hour"]
+      : [Math.floor(minutes / (24 * 60)), "day"]
+  return `${value} ${unit}${value === 1 ? "" : "s"} ago`
+}
+
 /**
  * Display a header banner
  * @param {string} text - Header text
+ * @param {Function} log - Function to write lines with (default console.log)
  */
-export function displayHeader(text) {
-  console.log("\n")
-  console.log(chalk.bold.magenta("╔" + "═".repeat(68) + "╗"))
-  console.log(
+export function displayHeader(text, log = console.log) {
+  log("\n")
+  log(chalk.bold.magenta("╔" + "═".repeat(68) + "╗"))
+  log(
     chalk.bold.magenta("║") +
       chalk.bold.white(centerString(text, 68)) +
       chalk.bold.magenta("║")
   )
-  console.log(chalk.bold.magenta("╚" + "═".repeat(68) + "╝"))
-  console.log("\n")
+  log(chalk.bold.magenta("╚" + "═".repeat(68) + "╝"))
+  log("\n")
 }
 
 /**
@@ -157,17 +822,21 @@ export function displayHeader(text) {
  * @param {string} directory - Directory being scanned
  * @param {number} romCount - Number of ROMs found
  * @param {string} consoleName - Selected console name
+ * @param {Function} log - Function to write lines with (default console.log)
  */
-export function displayScanInfo(directory, romCount, consoleName) {
-  console.log("\n")
-  console.log(chalk.dim("─".repeat(50)))
-  console.log(`  ${chalk.bold("Directory:")}  ${chalk.cyan(directory)}`)
-  console.log(`  ${chalk.bold("System:")}     ${chalk.cyan(consoleName)}`)
-  console.log(
-    `  ${chalk.bold("ROMs Found:")} ${chalk.cyan(romCount.toString())}`
-  )
-  console.log(chalk.dim("─".repeat(50)))
-  console.log("\n")
+export function displayScanInfo(
+  directory,
+  romCount,
+  consoleName,
+  log = console.log
+) {
+  log("\n")
+  log(chalk.dim("─".repeat(50)))
+  log(`  ${chalk.bold("Directory:")}  ${chalk.cyan(directory)}`)
+  log(`  ${chalk.bold("System:")}     ${chalk.cyan(consoleName)}`)
+  log(`  ${chalk.bold("ROMs Found:")} ${chalk.cyan(romCount.toString())}`)
+  log(chalk.dim("─".repeat(50)))
+  log("\n")
 }
 
 /**
@@ -208,17 +877,19 @@ function centerString(str, width) {
 }
 
 /**
- * Display an error message
+ * Display an error message on stderr, where it stays out of reports piped
+ * from stdout
  * @param {string} message - Error message
  */
 export function displayError(message) {
-  console.log(chalk.red.bold("\n✗ Error: ") + chalk.red(message) + "\n")
+  console.error(chalk.red.bold("\n✗ Error: ") + chalk.red(message) + "\n")
 }
 
 /**
  * Display a success message
  * @param {string} message - Success message
+ * @param {Function} log - Function to write lines with (default console.log)
  */
-export function displaySuccess(message) {
-  console.log(chalk.green.bold("\n✓ ") + chalk.green(message) + "\n")
+export function displaySuccess(message, log = console.log) {
+  log(chalk.green.bold("\n✓ ") + chalk.green(message) + "\n")
 }
@@ -0,0 +1,71 @@
+import { summarizeResults } from "./display.js"
+
+// Conditions --fail-on can check, and the exit code when a check fails
+// (fatal errors exit with 1)
+export const FAIL_ON_CONDITIONS = ["unmatched", "errors"]
+export const POLICY_FAILURE_EXIT_CODE = 2
+
+/**
+ * Work out the exit code policy from --fail-on and --min-match-rate
+ * @param {Object} options - Command line options
+ * @param {string} options.failOn - Optional comma-separated conditions from FAIL_ON_CONDITIONS
+ * @param {string|number} options.minMatchRate - Optional lowest acceptable match rate in percent (a trailing "%" is allowed)
+ * @returns {{failOn: Array<string>, minMatchRate: number|null}}
+ * @throws {Error} When a condition or the match rate is invalid
+ */
+export function parseExitPolicy(options = {}) {
+  const failOn = options.failOn
+    ? options.failOn.split(",").map((c) => c.trim().toLowerCase())
+    : []
+  const unknown = failOn.filter((c) => !FAIL_ON_CONDITIONS.includes(c))
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown --fail-on condition: ${unknown.join(
+        ", "
+      )} (expected ${FAIL_ON_CONDITIONS.join(", ")})`
+    )
+  }
+
+  let minMatchRate = null
+  if (options.minMatchRate !== undefined) {
+    const rate = String(options.minMatchRate).trim().replace(/%$/, "")
+    minMatchRate = rate === "" ? NaN : Number(rate)
+    if (
+      !Number.isFinite(minMatchRate) ||
+      minMatchRate < 0 ||
+      minMatchRate > 100
+    ) {
+      throw new Error(
+        `Invalid --min-match-rate: ${options.minMatchRate} (expected a percentage, e.g. 90)`
+      )
+    }
+  }
+
+  return { failOn, minMatchRate }
+}
+
+/**
+ * Check scan results against the exit code policy
+ * @param {{failOn: Array<string>, minMatchRate: number|null}} policy - Policy from parseExitPolicy
+ * @param {Array} results - Array of result objects from comparison
+ * @returns {Array<string>} Why the check failed (empty if it passed)
+ */
+export function checkExitPolicy(policy, results) {
+  const summary = summarizeResults(results)
+  const failures = []
+
+  if (policy.failOn.includes("unmatched") && summary.unmatched > 0) {
+    failures.push(`${summary.unmatched} ROM(s) unmatched`)
+  }
+  if (policy.failOn.includes("errors") && summary.errors > 0) {
+    failures.push(`${summary.errors} ROM(s) could not be hashed`)
+  }
+  if (policy.minMatchRate !== null && summary.matchRate < policy.minMatchRate) {
+    failures.push(
+      `match rate ${summary.matchRate.toFixed(1)}% is below ${
+        policy.minMatchRate
+      }%`
+    )
+  }
+  return failures
+}
@@ -0,0 +1,104 @@
+import fs from "fs"
+
+/**
+ * Answer an endpoint from fixture data the way the Web API would, including
+ * its filtering and paging parameters. Each handler receives the fixtures
+ * and the query parameters as strings
+ */
+const ENDPOINTS = {
+  GetConsoleIDs: (fixtures) => fixtures.GetConsoleIDs || [],
+
+  GetGameList: (fixtures, params) => {
+    let games = fixtures.GetGameList?.[params.i] || []
+    if (params.f === "1") {
+      games = games.filter((game) => game.NumAchievements > 0)
+    }
+    if (params.h !== "1") {
+      games = games.map(({ Hashes, ...game }) => game)
+    }
+    return games
+  },
+
+  GetGameHashes: (fixtures, params) => {
+    if (fixtures.GetGameHashes?.[params.i]) {
+      return { Results: fixtures.GetGameHashes[params.i] }
+    }
+
+    // Without labelled hashes, fall back to the game list's bare hashes
+    const game = Object.values(fixtures.GetGameList || {})
+      .flat()
+      .find((g) => String(g.ID) === params.i)
+    return {
+      Results: (game?.Hashes || []).map((md5) => ({
+        MD5: md5,
+        Name: null,
+        Labels: [],
+        PatchUrl: null,
+      })),
+    }
+  },
+
+  GetUserCompletionProgress: (fixtures, params) => {
+    const games = fixtures.GetUserCompletionProgress?.[params.u] || []
+    const offset = parseInt(params.o || "0", 10)
+    const count = parseInt(params.c || "100", 10)
+    const results = games.slice(offset, offset + count)
+    return { Count: results.length, Total: games.length, Results: results }
+  },
+}
+
+/**
+ * Load a fixture file: Web API responses keyed by endpoint name, and for
+ * per-console, per-game and per-user endpoints by console ID, game ID or
+ * username (see fixtures/mock-api.json)
+ * @param {string} fixturePath - Path to the fixture file
+ * @returns {Object} Fixture data
+ */
+export function loadFixtures(fixturePath) {
+  try {
+    return JSON.parse(fs.readFileSync(fixturePath, "utf-8"))
+  } catch (error) {
+    throw new Error(
+      `Could not read API fixtures ${fixturePath}: ${error.message}`
+    )
+  }
+}
+
+/**
+ * Answer a Web API request from fixture data
+ * @param {Object} fixtures - Fixture data from loadFixtures
+ * @param {string} endpoint - Endpoint name without prefix (e.g. "GetGameList")
+ * @param {Object} params - Query parameters
+ * @returns {*} Response as the Web API returns it
+ */
+export function answerFromFixtures(fixtures, endpoint, params = {}) {
+  const handler = ENDPOINTS[endpoint]
+  if (!handler) {
+    throw new Error(`No fixture support for the ${endpoint} endpoint`)
+  }
+
+  const query = {}
+  for (const [key, value] of Object.entries(params)) {
+    query[key] = String(value)
+  }
+  return handler(fixtures, query)
+}
+
+/**
+ * Create a backend that answers API calls from a fixture file instead of
+ * the network, for testing without credentials
+ * @param {string} fixturePath - Path to the fixture file
+ * @param {Object} options - Backend options
+ * @param {string} options.username - User to report progress for (default: "mock")
+ * @returns {import("./api.js").ApiBackend}
+ */
+export function createFixtureBackend(fixturePath, options = {}) {
+  const fixtures = loadFixtures(fixturePath)
+
+  return {
+    username: options.username || "mock",
+    description: fixturePath,
+    call: async (endpoint, params) =>
+      answerFromFixtures(fixtures, endpoint, params),
+  }
+}
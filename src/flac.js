@@ -0,0 +1,304 @@
+// Minimal FLAC frame decoder for the audio-coded hunks in CHD files (cdfl).
+// CHD stores bare FLAC frames without a stream header, so the caller supplies
+// the channel count and bits per sample.
+
+/**
+ * Big-endian bit reader over a byte buffer
+ */
+class BitReader {
+  /**
+   * @param {Buffer} buffer - Data to read
+   */
+  constructor(buffer) {
+    this.buffer = buffer
+    this.bytePosition = 0
+    this.bitPosition = 0
+  }
+
+  /**
+   * Read an unsigned value
+   * @param {number} numBits - Number of bits (up to 32)
+   * @returns {number}
+   */
+  readBits(numBits) {
+    let value = 0
+    for (let i = 0; i < numBits; i++) {
+      if (this.bytePosition >= this.buffer.length) {
+        throw new Error("Unexpected end of FLAC data")
+      }
+      const bit =
+        (this.buffer[this.bytePosition] >>> (7 - this.bitPosition)) & 1
+      value = value * 2 + bit
+      if (++this.bitPosition === 8) {
+        this.bitPosition = 0
+        this.bytePosition++
+      }
+    }
+    return value
+  }
+
+  /**
+   * Read a two's complement signed value
+   * @param {number} numBits - Number of bits (up to 32)
+   * @returns {number}
+   */
+  readSigned(numBits) {
+    if (numBits === 0) return 0
+    const value = this.readBits(numBits)
+    return value >= 2 ** (numBits - 1) ? value - 2 ** numBits : value
+  }
+
+  /**
+   * Read a unary-coded value (count of zero bits before a one bit)
+   * @returns {number}
+   */
+  readUnary() {
+    let count = 0
+    while (this.readBits(1) === 0) {
+      count++
+    }
+    return count
+  }
+
+  alignToByte() {
+    if (this.bitPosition !== 0) {
+      this.bitPosition = 0
+      this.bytePosition++
+    }
+  }
+}
+
+// Block sizes for frame header block size codes 1-5 and 8-15
+const BLOCK_SIZES = [
+  0, 192, 576, 1152, 2304, 4608, 0, 0, 256, 512, 1024, 2048, 4096, 8192, 16384,
+  32768,
+]
+
+// Bits per sample for frame header sample size codes (0 = from stream info)
+const SAMPLE_SIZES = [0, 8, 12, 0, 16, 20, 24, 32]
+
+/**
+ * Read a frame header, leaving the reader at the first subframe
+ * @param {BitReader} reader - Reader positioned at a frame
+ * @param {number} streamBitsPerSample - Bits per sample of the stream
+ * @returns {{blockSize: number, channelAssignment: number, bitsPerSample: number}}
+ */
+function readFrameHeader(reader, streamBitsPerSample) {
+  if (reader.readBits(14) !== 0x3ffe) {
+    throw new Error("Lost FLAC frame sync")
+  }
+  reader.readBits(2) // Reserved bit and blocking strategy
+
+  const blockSizeCode = reader.readBits(4)
+  const sampleRateCode = reader.readBits(4)
+  const channelAssignment = reader.readBits(4)
+  const sampleSizeCode = reader.readBits(3)
+  reader.readBits(1) // Reserved
+
+  // Frame or sample number, coded like UTF-8
+  const first = reader.readBits(8)
+  let extraBytes = 0
+  while (extraBytes < 7 && first & (0x80 >>> extraBytes)) {
+    extraBytes++
+  }
+  for (let i = 1; i < extraBytes; i++) {
+    reader.readBits(8)
+  }
+
+  let blockSize = BLOCK_SIZES[blockSizeCode]
+  if (blockSizeCode === 6) {
+    blockSize = reader.readBits(8) + 1
+  } else if (blockSizeCode === 7) {
+    blockSize = reader.readBits(16) + 1
+  }
+  if (blockSize === 0) {
+    throw new Error("Invalid FLAC block size")
+  }
+
+  if (sampleRateCode === 12) {
+    reader.readBits(8)
+  } else if (sampleRateCode === 13 || sampleRateCode === 14) {
+    reader.readBits(16)
+  }
+
+  reader.readBits(8) // CRC-8
+
+  return {
+    blockSize,
+    channelAssignment,
+    bitsPerSample: SAMPLE_SIZES[sampleSizeCode] || streamBitsPerSample,
+  }
+}
+
+/**
+ * Decode the Rice-coded residual of a subframe into samples
+ * @param {BitReader} reader - Reader positioned at the residual
+ * @param {Int32Array} samples - Output samples
+ * @param {number} predictorOrder - Number of warm-up samples before the residual
+ */
+function readResidual(reader, samples, predictorOrder) {
+  const method = reader.readBits(2)
+  if (method > 1) {
+    throw new Error("Invalid FLAC residual coding method")
+  }
+  const parameterBits = method === 0 ? 4 : 5
+  const escapeCode = method === 0 ? 15 : 31
+  const partitionOrder = reader.readBits(4)
+  const partitionSize = samples.length >>> partitionOrder
+
+  let index = predictorOrder
+  for (let partition = 0; partition < 1 << partitionOrder; partition++) {
+    const count =
+      partition === 0 ? partitionSize - predictorOrder : partitionSize
+    const parameter = reader.readBits(parameterBits)
+
+    if (parameter === escapeCode) {
+      const rawBits = reader.readBits(5)
+      for (let i = 0; i < count; i++) {
+        samples[index++] = reader.readSigned(rawBits)
+      }
+    } else {
+      for (let i = 0; i < count; i++) {
+        const value =
+          reader.readUnary() * 2 ** parameter + reader.readBits(parameter)
+        samples[index++] = value % 2 === 0 ? value / 2 : -(value + 1) / 2
+      }
+    }
+  }
+}
+
+// Coefficients of the fixed predictors for orders 0-4
+const FIXED_COEFFICIENTS = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]]
+
+/**
+ * Apply a linear predictor to residuals in place
+ * @param {Int32Array} samples - Warm-up samples followed by residuals
+ * @param {Array<number>} coefficients - Predictor coefficients
+ * @param {number} shift - Right shift applied to each prediction
+ */
+function restoreSignal(samples, coefficients, shift) {
+  const order = coefficients.length
+  const divisor = 2 ** shift
+  for (let i = order; i < samples.length; i++) {
+    let prediction = 0
+    for (let j = 0; j < order; j++) {
+      prediction += coefficients[j] * samples[i - j - 1]
+    }
+    samples[i] += Math.floor(prediction / divisor)
+  }
+}
+
+/**
+ * Decode one subframe (one channel of a frame)
+ * @param {BitReader} reader - Reader positioned at the subframe
+ * @param {number} blockSize - Samples per channel in the frame
+ * @param {number} bitsPerSample - Bits per sample of this channel
+ * @returns {Int32Array} Decoded samples
+ */
+function readSubframe(reader, blockSize, bitsPerSample) {
+  reader.readBits(1) // Zero padding
+  const type = reader.readBits(6)
+  let wastedBits = 0
+  if (reader.readBits(1) === 1) {
+    wastedBits = reader.readUnary() + 1
+  }
+  const bits = bitsPerSample - wastedBits
+  const samples = new Int32Array(blockSize)
+
+  if (type === 0) {
+    samples.fill(reader.readSigned(bits))
+  } else if (type === 1) {
+    for (let i = 0; i < blockSize; i++) {
+      samples[i] = reader.readSigned(bits)
+    }
+  } else if (type >= 8 && type <= 12) {
+    const order = type - 8
+    for (let i = 0; i < order; i++) {
+      samples[i] = reader.readSigned(bits)
+    }
+    readResidual(reader, samples, order)
+    restoreSignal(samples, FIXED_COEFFICIENTS[order], 0)
+  } else if (type >= 32) {
+    const order = type - 31
+    for (let i = 0; i < order; i++) {
+      samples[i] = reader.readSigned(bits)
+    }
+    const precision = reader.readBits(4) + 1
+    const shift = reader.readSigned(5)
+    const coefficients = []
+    for (let i = 0; i < order; i++) {
+      coefficients.push(reader.readSigned(precision))
+    }
+    if (shift < 0) {
+      throw new Error("Invalid FLAC LPC shift")
+    }
+    readResidual(reader, samples, order)
+    restoreSignal(samples, coefficients, shift)
+  } else {
+    throw new Error(`Invalid FLAC subframe type ${type}`)
+  }
+
+  if (wastedBits > 0) {
+    for (let i = 0; i < blockSize; i++) {
+      samples[i] *= 2 ** wastedBits
+    }
+  }
+  return samples
+}
+
+/**
+ * Decode bare FLAC frames into interleaved big-endian 16-bit samples
+ * @param {Buffer} input - FLAC frames
+ * @param {number} sampleCount - Number of samples per channel to decode
+ * @param {number} channels - Number of channels in the stream
+ * @returns {{data: Buffer, bytesRead: number}} Decoded samples and the number of input bytes consumed
+ */
+export function decodeFlacFrames(input, sampleCount, channels = 2) {
+  const reader = new BitReader(input)
+  const output = Buffer.alloc(sampleCount * channels * 2)
+  let decoded = 0
+
+  while (decoded < sampleCount) {
+    const header = readFrameHeader(reader, 16)
+    const { blockSize, channelAssignment, bitsPerSample } = header
+
+    const subframes = []
+    for (let channel = 0; channel < channels; channel++) {
+      // The side channel of a stereo pair carries one extra bit
+      const sideChannel =
+        (channelAssignment === 8 && channel === 1) ||
+        (channelAssignment === 9 && channel === 0) ||
+        (channelAssignment === 10 && channel === 1)
+      subframes.push(
+        readSubframe(reader, blockSize, bitsPerSample + (sideChannel ? 1 : 0))
+      )
+    }
+
+    reader.alignToByte()
+    reader.readBits(16) // CRC-16
+
+    const [first, second] = subframes
+    for (let i = 0; i < blockSize && decoded + i < sampleCount; i++) {
+      let left = first[i]
+      let right = second ? second[i] : 0
+      if (channelAssignment === 8) {
+        right = left - right
+      } else if (channelAssignment === 9) {
+        left = left + right
+      } else if (channelAssignment === 10) {
+        const mid = left * 2 + (right & 1)
+        left = (mid + right) >> 1
+        right = (mid - right) >> 1
+      }
+
+      const position = (decoded + i) * channels * 2
+      output.writeInt16BE(left, position)
+      if (channels > 1) {
+        output.writeInt16BE(right, position + 2)
+      }
+    }
+    decoded += blockSize
+  }
+
+  return { data: output, bytesRead: reader.bytePosition }
+}
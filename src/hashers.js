@@ -0,0 +1,928 @@
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+import {
+  findFile,
+  hashTrackFile,
+  isDiscImage,
+  openFirstDataTrack,
+  openLastTrack,
+  openTrackByNumber,
+} from "./disc.js"
+
+/**
+ * RetroAchievements console IDs for the systems the scanner knows how to hash
+ */
+export const CONSOLE = {
+  GENESIS: 1,
+  N64: 2,
+  SNES: 3,
+  GAME_BOY: 4,
+  GAME_BOY_ADVANCE: 5,
+  GAME_BOY_COLOR: 6,
+  NES: 7,
+  PC_ENGINE: 8,
+  SEGA_CD: 9,
+  SEGA_32X: 10,
+  MASTER_SYSTEM: 11,
+  PLAYSTATION: 12,
+  ATARI_LYNX: 13,
+  NEO_GEO_POCKET: 14,
+  GAME_GEAR: 15,
+  GAMECUBE: 16,
+  ATARI_JAGUAR: 17,
+  NINTENDO_DS: 18,
+  PLAYSTATION_2: 21,
+  MAGNAVOX_ODYSSEY2: 23,
+  POKEMON_MINI: 24,
+  ATARI_2600: 25,
+  ARCADE: 27,
+  VIRTUAL_BOY: 28,
+  MSX: 29,
+  SG1000: 33,
+  SATURN: 39,
+  DREAMCAST: 40,
+  PSP: 41,
+  COLECOVISION: 44,
+  INTELLIVISION: 45,
+  VECTREX: 46,
+  ATARI_5200: 50,
+  ATARI_7800: 51,
+  WONDERSWAN: 53,
+  FAIRCHILD_CHANNEL_F: 57,
+  MEGA_DUCK: 69,
+  ARDUBOY: 71,
+  WASM4: 72,
+  ARCADIA_2001: 73,
+  INTERTON_VC_4000: 74,
+  PC_ENGINE_CD: 76,
+  NINTENDO_DSI: 78,
+  UZEBOX: 80,
+}
+
+// Systems that RetroAchievements identifies by the MD5 of the entire file
+const WHOLE_FILE_CONSOLES = new Set([
+  CONSOLE.GENESIS,
+  CONSOLE.GAME_BOY,
+  CONSOLE.GAME_BOY_ADVANCE,
+  CONSOLE.GAME_BOY_COLOR,
+  CONSOLE.SEGA_32X,
+  CONSOLE.MASTER_SYSTEM,
+  CONSOLE.NEO_GEO_POCKET,
+  CONSOLE.GAME_GEAR,
+  CONSOLE.ATARI_JAGUAR,
+  CONSOLE.MAGNAVOX_ODYSSEY2,
+  CONSOLE.POKEMON_MINI,
+  CONSOLE.ATARI_2600,
+  CONSOLE.VIRTUAL_BOY,
+  CONSOLE.MSX,
+  CONSOLE.SG1000,
+  CONSOLE.COLECOVISION,
+  CONSOLE.INTELLIVISION,
+  CONSOLE.VECTREX,
+  CONSOLE.ATARI_5200,
+  CONSOLE.WONDERSWAN,
+  CONSOLE.FAIRCHILD_CHANNEL_F,
+  CONSOLE.MEGA_DUCK,
+  CONSOLE.ARDUBOY,
+  CONSOLE.WASM4,
+  CONSOLE.ARCADIA_2001,
+  CONSOLE.INTERTON_VC_4000,
+  CONSOLE.UZEBOX,
+])
+
+/**
+ * @typedef {Object} HashResult
+ * @property {string} hash - MD5 hash in lowercase hex
+ * @property {string} method - Name of the hashing method that produced the hash
+ * @property {string} [header] - Name of a header that was left out of the hash
+ */
+
+/**
+ * @typedef {Object} Hasher
+ * @property {string} method - Name of the hashing method
+ * @property {function(string, Object): Promise<HashResult>} hash - Hash a file
+ * @property {boolean} [hashesArchives] - Whether archives are hashed as they are instead of extracting the ROMs inside
+ */
+
+// Registered system-specific hashers, keyed by console ID
+const hashers = new Map()
+
+/**
+ * Hasher for systems that use a plain MD5 of the whole file
+ * @type {Hasher}
+ */
+const wholeFileHasher = {
+  method: "md5",
+  hash: async (filePath, options = {}) => ({
+    hash: await calculateMD5(filePath, options),
+    method: "md5",
+  }),
+}
+
+/**
+ * Register a system-specific hasher
+ * @param {number|Array<number>} consoleIds - Console ID(s) the hasher handles
+ * @param {Hasher} hasher - Hasher implementation
+ */
+export function registerHasher(consoleIds, hasher) {
+  const ids = Array.isArray(consoleIds) ? consoleIds : [consoleIds]
+  for (const id of ids) {
+    hashers.set(id, hasher)
+  }
+}
+
+/**
+ * Get the hasher RetroAchievements uses for a console
+ * @param {number} consoleId - Console ID
+ * @returns {Hasher|null} Hasher, or null if the console's method is not supported
+ */
+export function getHasher(consoleId) {
+  if (hashers.has(consoleId)) {
+    return hashers.get(consoleId)
+  }
+  if (WHOLE_FILE_CONSOLES.has(consoleId)) {
+    return wholeFileHasher
+  }
+  return null
+}
+
+/**
+ * Hash a ROM file the way RetroAchievements does for the given console
+ * @param {string} filePath - Path to the ROM file
+ * @param {number} [consoleId] - Console ID the ROM belongs to
+ * @param {Object} options - Options passed to the hasher
+ * @param {Function} options.onProgress - Optional callback for progress updates
+ * @returns {Promise<HashResult>} Hash and the method that produced it
+ */
+export async function hashRom(filePath, consoleId, options = {}) {
+  // Without a console there is nothing to pick from, so hash the whole file
+  const hasher = consoleId == null ? wholeFileHasher : getHasher(consoleId)
+  if (!hasher) {
+    throw new Error(
+      `No RetroAchievements hashing method available for console ID ${consoleId}`
+    )
+  }
+  return hasher.hash(filePath, options)
+}
+
+/**
+ * Calculate MD5 hash of a file using fs.promises for better performance on large files
+ * @param {string} filePath - Path to the file
+ * @param {Object} options - Options for hashing
+ * @param {number} options.start - Optional number of leading bytes to skip (e.g. a header)
+ * @param {number} options.byteSwap - Optional word size (2 or 4) to reverse byte order in while hashing
+ * @param {Function} options.onProgress - Optional callback for progress updates
+ * @returns {Promise<string>} MD5 hash in lowercase hex
+ */
+export async function calculateMD5(filePath, options = {}) {
+  const startTime = Date.now()
+  const hash = crypto.createHash("md5")
+  const start = options.start || 0
+  let bytesRead = 0
+
+  // Byte-swapped data is converted while streaming. A partial word at the end
+  // of a chunk is carried over to the next one, and hashed as-is at EOF
+  let swapCarry = Buffer.alloc(0)
+  const updateHash = (data) => {
+    if (!options.byteSwap) {
+      hash.update(data)
+      return
+    }
+
+    const words = swapCarry.length > 0 ? Buffer.concat([swapCarry, data]) : data
+    const alignedLength = words.length - (words.length % options.byteSwap)
+    swapCarry = Buffer.from(words.subarray(alignedLength))
+
+    const aligned = words.subarray(0, alignedLength)
+    if (options.byteSwap === 2) {
+      aligned.swap16()
+    } else {
+      aligned.swap32()
+    }
+    hash.update(aligned)
+  }
+
+  // Get file size for progress tracking (excluding any skipped leading bytes)
+  let fileSize = 0
+  let stats
+  try {
+    stats = await fs.promises.stat(filePath)
+    fileSize = Math.max(0, stats.size - start)
+  } catch (err) {
+    console.error(
+      `[ERROR] Failed to get file stats for ${filePath}:`,
+      err.message
+    )
+    throw new Error(`Cannot read file stats: ${err.message}`)
+  }
+
+  // Use optimized buffer sizes for better performance on large files
+  // For very large files (>100MB), use fs.promises.open with manual reading
+  // which is faster than streams due to less overhead
+  const useDirectRead = fileSize > 100 * 1024 * 1024 // 100MB threshold
+
+  // Determine optimal buffer size based on file size
+  // Larger buffers = fewer system calls = better performance for large files
+  const bufferSize =
+    fileSize > 4 * 1024 * 1024 * 1024
+      ? 16 * 1024 * 1024 // 16MB for files > 4GB (dual-layer DVD .iso files)
+      : fileSize > 2 * 1024 * 1024 * 1024
+      ? 12 * 1024 * 1024 // 12MB for files > 2GB
+      : fileSize > 1024 * 1024 * 1024
+      ? 8 * 1024 * 1024 // 8MB for files > 1GB (DVD .iso files, large .rvz files)
+      : fileSize > 500 * 1024 * 1024
+      ? 4 * 1024 * 1024 // 4MB for files > 500MB
+      : fileSize > 100 * 1024 * 1024
+      ? 2 * 1024 * 1024 // 2MB for files > 100MB
+      : fileSize > 10 * 1024 * 1024
+      ? 1024 * 1024 // 1MB for files > 10MB
+      : 64 * 1024 // 64KB for smaller files
+
+  // Progress reporting throttling for large files (report every 5% or 100MB, whichever is smaller)
+  const progressInterval = Math.min(fileSize * 0.05, 100 * 1024 * 1024)
+  let lastProgressReport = 0
+
+  if (useDirectRead) {
+    // Use fs.promises.open for better performance on large files
+    let fileHandle
+    try {
+      fileHandle = await fs.promises.open(filePath, "r")
+      const buffer = Buffer.allocUnsafe(bufferSize)
+
+      while (bytesRead < fileSize) {
+        const bytesToRead = Math.min(bufferSize, fileSize - bytesRead)
+        const { bytesRead: chunkSize } = await fileHandle.read(
+          buffer,
+          0,
+          bytesToRead,
+          start + bytesRead
+        )
+
+        if (chunkSize === 0) {
+          break // EOF
+        }
+
+        updateHash(buffer.subarray(0, chunkSize))
+        bytesRead += chunkSize
+
+        // Throttled progress reporting for large files
+        if (options.onProgress && fileSize > 0) {
+          const progressSinceLastReport = bytesRead - lastProgressReport
+          if (
+            progressSinceLastReport >= progressInterval ||
+            bytesRead === fileSize
+          ) {
+            const progress = (bytesRead / fileSize) * 100
+            options.onProgress(progress, bytesRead, fileSize)
+            lastProgressReport = bytesRead
+          }
+        }
+      }
+
+      await fileHandle.close()
+    } catch (err) {
+      if (fileHandle) {
+        await fileHandle.close().catch(() => {})
+      }
+      console.error(`[ERROR] Error while hashing ${filePath}:`, err.message)
+      throw new Error(`Failed to hash file: ${err.message}`)
+    }
+  } else {
+    // Use streams for smaller files (less overhead than manual reading)
+    return new Promise((resolve, reject) => {
+      const stream = fs.createReadStream(filePath, {
+        start,
+        highWaterMark: bufferSize,
+      })
+
+      // Set up timeout (30 minutes for very large files)
+      const timeout = setTimeout(() => {
+        stream.destroy()
+        reject(
+          new Error(`Timeout: File hashing exceeded 30 minutes for ${filePath}`)
+        )
+      }, 30 * 60 * 1000)
+
+      stream.on("data", (data) => {
+        bytesRead += data.length
+        updateHash(data)
+
+        // Report progress if callback provided
+        if (options.onProgress && fileSize > 0) {
+          const progress = (bytesRead / fileSize) * 100
+          options.onProgress(progress, bytesRead, fileSize)
+        }
+      })
+
+      stream.on("end", () => {
+        clearTimeout(timeout)
+        const elapsed = ((Date.now() - startTime) / 1000).toFixed(2)
+        hash.update(swapCarry)
+        const hashValue = hash.digest("hex").toLowerCase()
+
+        if (process.env.DEBUG) {
+          console.error(
+            `[DEBUG] Hashed ${path.basename(filePath)} (${(
+              fileSize /
+              1024 /
+              1024
+            ).toFixed(2)} MB) in ${elapsed}s`
+          )
+        }
+
+        resolve(hashValue)
+      })
+
+      stream.on("error", (err) => {
+        clearTimeout(timeout)
+        console.error(
+          `[ERROR] Stream error while hashing ${filePath}:`,
+          err.message
+        )
+        reject(
+          new Error(
+            `Failed to read file stream: ${err.message} (code: ${err.code})`
+          )
+        )
+      })
+    })
+  }
+
+  // For direct read path, calculate and return hash
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(2)
+  hash.update(swapCarry)
+  const hashValue = hash.digest("hex").toLowerCase()
+
+  if (process.env.DEBUG) {
+    console.error(
+      `[DEBUG] Hashed ${path.basename(filePath)} (${(
+        fileSize /
+        1024 /
+        1024
+      ).toFixed(2)} MB) in ${elapsed}s`
+    )
+  }
+
+  return hashValue
+}
+
+/**
+ * Read a range of bytes from a file
+ * @param {string} filePath - Path to the file
+ * @param {number} length - Number of bytes to read
+ * @param {number} position - Offset to start reading from
+ * @returns {Promise<Buffer>} Bytes read (shorter than length near end of file)
+ */
+export async function readBytes(filePath, length, position = 0) {
+  const fileHandle = await fs.promises.open(filePath, "r")
+  try {
+    const buffer = Buffer.alloc(length)
+    const { bytesRead } = await fileHandle.read(buffer, 0, length, position)
+    return buffer.subarray(0, bytesRead)
+  } finally {
+    await fileHandle.close()
+  }
+}
+
+/**
+ * NES: skip the 16-byte iNES / NES 2.0 header or the 16-byte fwNES header
+ * of Famicom Disk System images
+ * @type {Hasher}
+ */
+const nesHasher = {
+  method: "nes",
+  hash: async (filePath, options = {}) => {
+    const magic = (await readBytes(filePath, 4)).toString("latin1")
+    const header =
+      magic === "NES\x1a" ? "iNES" : magic === "FDS\x1a" ? "fwNES" : null
+
+    return {
+      hash: await calculateMD5(filePath, {
+        ...options,
+        start: header ? 16 : 0,
+      }),
+      method: "nes",
+      header,
+    }
+  },
+}
+
+registerHasher(CONSOLE.NES, nesHasher)
+
+/**
+ * SNES: skip the 512-byte header that copier devices prepend to dumps,
+ * detected by the file size being 512 bytes over a multiple of 1KB
+ * @type {Hasher}
+ */
+const snesHasher = {
+  method: "snes",
+  hash: async (filePath, options = {}) => {
+    const stats = await fs.promises.stat(filePath)
+    const header = stats.size % 1024 === 512 ? "copier" : null
+
+    return {
+      hash: await calculateMD5(filePath, {
+        ...options,
+        start: header ? 512 : 0,
+      }),
+      method: "snes",
+      header,
+    }
+  },
+}
+
+registerHasher(CONSOLE.SNES, snesHasher)
+
+/**
+ * Atari 7800: skip the 128-byte A78 header, identified by "ATARI7800"
+ * starting at byte 1
+ * @type {Hasher}
+ */
+const atari7800Hasher = {
+  method: "a78",
+  hash: async (filePath, options = {}) => {
+    const magic = (await readBytes(filePath, 10)).toString("latin1", 1)
+    const header = magic === "ATARI7800" ? "A78" : null
+
+    return {
+      hash: await calculateMD5(filePath, {
+        ...options,
+        start: header ? 128 : 0,
+      }),
+      method: "a78",
+      header,
+    }
+  },
+}
+
+registerHasher(CONSOLE.ATARI_7800, atari7800Hasher)
+
+/**
+ * Atari Lynx: skip the 64-byte LNX header, identified by "LYNX\0"
+ * @type {Hasher}
+ */
+const lynxHasher = {
+  method: "lynx",
+  hash: async (filePath, options = {}) => {
+    const magic = (await readBytes(filePath, 5)).toString("latin1")
+    const header = magic === "LYNX\0" ? "LNX" : null
+
+    return {
+      hash: await calculateMD5(filePath, {
+        ...options,
+        start: header ? 64 : 0,
+      }),
+      method: "lynx",
+      header,
+    }
+  },
+}
+
+registerHasher(CONSOLE.ATARI_LYNX, lynxHasher)
+
+// First byte of an N64 ROM in each byte order, and the word size to swap
+// to get back to big-endian (.z64) order
+const N64_BYTE_ORDERS = {
+  0x80: { order: "big-endian", byteSwap: 0 },
+  0x37: { order: "byte-swapped", byteSwap: 2 },
+  0x40: { order: "little-endian", byteSwap: 4 },
+}
+
+/**
+ * Nintendo 64: hash in big-endian (.z64) byte order, converting .v64 and
+ * .n64 dumps while streaming
+ * @type {Hasher}
+ */
+const n64Hasher = {
+  method: "n64",
+  hash: async (filePath, options = {}) => {
+    const [firstByte] = await readBytes(filePath, 1)
+    const byteOrder = N64_BYTE_ORDERS[firstByte] || N64_BYTE_ORDERS[0x80]
+
+    if (process.env.DEBUG) {
+      console.error(
+        `[DEBUG] ${path.basename(filePath)}: ${byteOrder.order} N64 ROM`
+      )
+    }
+
+    return {
+      hash: await calculateMD5(filePath, {
+        ...options,
+        byteSwap: byteOrder.byteSwap,
+      }),
+      method: "n64",
+    }
+  },
+}
+
+registerHasher(CONSOLE.N64, n64Hasher)
+
+// Largest combined ARM9 and ARM7 code size rcheevos accepts in a DS ROM
+const MAX_NDS_CODE_SIZE = 16 * 1024 * 1024
+
+/**
+ * Nintendo DS / DSi: hash the cartridge header, the ARM9 and ARM7 binaries
+ * and the icon/title block, at the offsets given in the header. Dumps made
+ * with a SuperCard have a 512-byte header of their own that is skipped
+ * @type {Hasher}
+ */
+const ndsHasher = {
+  method: "nds",
+  hash: async (filePath) => {
+    const fileHandle = await fs.promises.open(filePath, "r")
+    try {
+      const read = async (position, length) => {
+        const buffer = Buffer.alloc(length)
+        const { bytesRead } = await fileHandle.read(buffer, 0, length, position)
+        return buffer.subarray(0, bytesRead)
+      }
+
+      let offset = 0
+      let header = await read(0, 0x200)
+      const isSuperCard =
+        header.readUInt32BE(0) === 0x2e0000ea &&
+        header.readUInt32BE(0xb0) === 0x44469600
+      if (isSuperCard) {
+        offset = 0x200
+        header = await read(offset, 0x160)
+      }
+      if (header.length < 0x160) {
+        throw new Error("Not a Nintendo DS ROM")
+      }
+
+      const arm9Offset = header.readUInt32LE(0x20)
+      const arm9Size = header.readUInt32LE(0x2c)
+      const arm7Offset = header.readUInt32LE(0x30)
+      const arm7Size = header.readUInt32LE(0x3c)
+      const iconOffset = header.readUInt32LE(0x68)
+      if (arm9Size + arm7Size > MAX_NDS_CODE_SIZE) {
+        throw new Error(
+          `ARM9 code size (${arm9Size}) + ARM7 code size (${arm7Size}) exceeds 16MB`
+        )
+      }
+
+      const hash = crypto.createHash("md5")
+      hash.update(header.subarray(0, 0x160))
+      hash.update(await read(offset + arm9Offset, arm9Size))
+      hash.update(await read(offset + arm7Offset, arm7Size))
+      hash.update(await read(offset + iconOffset, 0xa00))
+
+      return {
+        hash: hash.digest("hex"),
+        method: "nds",
+        header: isSuperCard ? "SuperCard" : null,
+      }
+    } finally {
+      await fileHandle.close()
+    }
+  },
+}
+
+registerHasher([CONSOLE.NINTENDO_DS, CONSOLE.NINTENDO_DSI], ndsHasher)
+
+// Largest file rcheevos will read from a disc when hashing
+const MAX_DISC_FILE_HASH_SIZE = 64 * 1024 * 1024
+
+/**
+ * Find the boot executable named in a PlayStation disc's SYSTEM.CNF
+ * @param {Object} track - Opened data track
+ * @param {string} bootKey - SYSTEM.CNF key naming the executable (BOOT or BOOT2)
+ * @param {string} cdromPrefix - Device prefix to strip from the path (cdrom: or cdrom0:)
+ * @returns {Promise<{name: string, sector: number, size: number}|null>} Executable path and extent, or null if not found
+ */
+async function findPlayStationExecutable(track, bootKey, cdromPrefix) {
+  const systemCnf = await findFile(track, "SYSTEM.CNF")
+  if (!systemCnf) {
+    return null
+  }
+
+  const contents = (
+    await track.readSector(track.toTrackSector(systemCnf.sector))
+  ).toString("latin1", 0, Math.min(systemCnf.size, 2048))
+
+  // e.g. "BOOT = cdrom:\SLUS_007.71;1" -> "SLUS_007.71"
+  for (const line of contents.split("\n")) {
+    if (!line.startsWith(bootKey)) continue
+
+    let value = line.slice(bootKey.length).trimStart()
+    if (!value.startsWith("=")) continue
+
+    value = value.slice(1).trimStart()
+    if (value.startsWith(cdromPrefix)) {
+      value = value.slice(cdromPrefix.length)
+    }
+    const name = value.replace(/^\\+/, "").split(/[\s;]/)[0]
+
+    const file = await findFile(track, name)
+    if (file) {
+      return { name, ...file }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Hash a PlayStation executable: its path on the disc followed by its contents
+ * @param {Object} track - Opened data track
+ * @param {{name: string, sector: number, size: number}} executable - Executable to hash
+ * @returns {Promise<string>} MD5 hash in lowercase hex
+ */
+async function hashPlayStationExecutable(track, executable) {
+  const hash = crypto.createHash("md5")
+  hash.update(executable.name, "latin1")
+  await hashTrackFile(
+    track,
+    executable.sector,
+    Math.min(executable.size, MAX_DISC_FILE_HASH_SIZE),
+    hash
+  )
+  return hash.digest("hex")
+}
+
+/**
+ * PlayStation: hash the boot executable named in SYSTEM.CNF (or PSX.EXE)
+ * from the first data track of a CUE/BIN or ISO image
+ * @type {Hasher}
+ */
+const psxHasher = {
+  method: "psx",
+  hash: async (filePath) => {
+    const track = await openFirstDataTrack(filePath)
+    try {
+      let executable = await findPlayStationExecutable(track, "BOOT", "cdrom:")
+      if (!executable) {
+        const file = await findFile(track, "PSX.EXE")
+        executable = file ? { name: "PSX.EXE", ...file } : null
+      }
+      if (!executable) {
+        throw new Error("Could not locate primary executable")
+      }
+
+      // The PS-X EXE header stores the size of the code that follows it,
+      // which is hashed instead of the size in the directory record
+      const header = await track.readSector(
+        track.toTrackSector(executable.sector),
+        32
+      )
+      if (header.toString("latin1", 0, 8) === "PS-X EXE") {
+        executable.size = header.readUInt32LE(28) + 2048
+      }
+
+      return {
+        hash: await hashPlayStationExecutable(track, executable),
+        method: "psx",
+      }
+    } finally {
+      await track.close()
+    }
+  },
+}
+
+/**
+ * PlayStation 2: hash the boot executable named by BOOT2 in SYSTEM.CNF
+ * @type {Hasher}
+ */
+const ps2Hasher = {
+  method: "ps2",
+  hash: async (filePath) => {
+    const track = await openFirstDataTrack(filePath)
+    try {
+      const executable = await findPlayStationExecutable(
+        track,
+        "BOOT2",
+        "cdrom0:"
+      )
+      if (!executable) {
+        throw new Error("Could not locate primary executable")
+      }
+
+      return {
+        hash: await hashPlayStationExecutable(track, executable),
+        method: "ps2",
+      }
+    } finally {
+      await track.close()
+    }
+  },
+}
+
+registerHasher(CONSOLE.PLAYSTATION, psxHasher)
+registerHasher(CONSOLE.PLAYSTATION_2, ps2Hasher)
+
+// Volume header signatures at the start of Sega CD and Saturn discs
+const SEGA_DISC_SIGNATURES = ["SEGADISCSYSTEM  ", "SEGA SEGASATURN "]
+
+/**
+ * Hash the volume and ROM header in the first 512 bytes of a Sega CD or
+ * Saturn disc. The boot code that follows varies by region, and games often
+ * load several executables, so RetroAchievements identifies the disc by its
+ * header alone
+ * @param {string} filePath - Path to the disc image
+ * @returns {Promise<string>} MD5 hash in lowercase hex
+ */
+async function hashSegaDiscHeader(filePath) {
+  const track = await openFirstDataTrack(filePath)
+  try {
+    const header = await track.readSector(0, 512)
+    if (!SEGA_DISC_SIGNATURES.includes(header.toString("latin1", 0, 16))) {
+      throw new Error("Not a Sega CD or Saturn disc")
+    }
+    return crypto.createHash("md5").update(header).digest("hex")
+  } finally {
+    await track.close()
+  }
+}
+
+/**
+ * Sega CD: hash the disc's volume and ROM header
+ * @type {Hasher}
+ */
+const segaCdHasher = {
+  method: "segacd",
+  hash: async (filePath) => ({
+    hash: await hashSegaDiscHeader(filePath),
+    method: "segacd",
+  }),
+}
+
+/**
+ * Sega Saturn: hash the disc's volume and ROM header
+ * @type {Hasher}
+ */
+const saturnHasher = {
+  method: "saturn",
+  hash: async (filePath) => ({
+    hash: await hashSegaDiscHeader(filePath),
+    method: "saturn",
+  }),
+}
+
+registerHasher(CONSOLE.SEGA_CD, segaCdHasher)
+registerHasher(CONSOLE.SATURN, saturnHasher)
+
+/**
+ * PC Engine CD: hash the title and boot program named in the boot record
+ * (sector 1 of the first data track). GameExpress discs have no boot record
+ * and use a plain ISO9660 file system, so their BOOT.BIN is hashed instead
+ * @type {Hasher}
+ */
+const pcEngineCdHasher = {
+  method: "pcecd",
+  hash: async (filePath) => {
+    const track = await openFirstDataTrack(filePath)
+    try {
+      const hash = crypto.createHash("md5")
+      const bootRecord = await track.readSector(1)
+
+      if (bootRecord.toString("latin1", 32, 55) === "PC Engine CD-ROM SYSTEM") {
+        // The title is the last 22 bytes of the record. The first three bytes
+        // hold the boot program's sector and the fourth its length in sectors
+        hash.update(bootRecord.subarray(106, 128))
+        const firstSector =
+          (bootRecord[0] << 16) + (bootRecord[1] << 8) + bootRecord[2]
+        for (let i = 0; i < bootRecord[3]; i++) {
+          hash.update(await track.readSector(firstSector + i))
+        }
+      } else {
+        const bootFile = await findFile(track, "BOOT.BIN")
+        if (!bootFile || bootFile.size >= MAX_DISC_FILE_HASH_SIZE) {
+          throw new Error("Not a PC Engine CD")
+        }
+        await hashTrackFile(track, bootFile.sector, bootFile.size, hash)
+      }
+
+      return { hash: hash.digest("hex"), method: "pcecd" }
+    } finally {
+      await track.close()
+    }
+  },
+}
+
+/**
+ * PC Engine: disc images use the PC Engine CD method. HuCard dumps skip the
+ * 512-byte header that copier devices prepend, detected by the file size
+ * being 512 bytes over a multiple of 128KB
+ * @type {Hasher}
+ */
+const pcEngineHasher = {
+  method: "pce",
+  hash: async (filePath, options = {}) => {
+    if (isDiscImage(filePath)) {
+      return pcEngineCdHasher.hash(filePath, options)
+    }
+
+    const stats = await fs.promises.stat(filePath)
+    const header = stats.size % 0x20000 === 512 ? "copier" : null
+
+    return {
+      hash: await calculateMD5(filePath, {
+        ...options,
+        start: header ? 512 : 0,
+      }),
+      method: "pce",
+      header,
+    }
+  },
+}
+
+registerHasher(CONSOLE.PC_ENGINE_CD, pcEngineCdHasher)
+registerHasher(CONSOLE.PC_ENGINE, pcEngineHasher)
+
+/**
+ * Dreamcast: hash the first 256 bytes of IP.BIN (the disc's meta information
+ * at the start of track 3) followed by the boot executable it names. The
+ * file system lives on track 3, but the executable is stored at the end of
+ * the high-density area, in the last track
+ * @type {Hasher}
+ */
+const dreamcastHasher = {
+  method: "dreamcast",
+  hash: async (filePath) => {
+    const hash = crypto.createHash("md5")
+    let executable
+
+    const track = await openTrackByNumber(filePath, 3)
+    try {
+      const ipBin = await track.readSector(0, 256)
+      if (ipBin.toString("latin1", 0, 16) !== "SEGA SEGAKATANA ") {
+        throw new Error("Not a Dreamcast disc")
+      }
+      hash.update(ipBin)
+
+      // The boot file name sits 96 bytes in, padded with spaces
+      const bootFile = ipBin.toString("latin1", 96, 112).split(/\s/)[0]
+      if (!bootFile) {
+        throw new Error("Boot executable not specified in IP.BIN")
+      }
+      executable = await findFile(track, bootFile)
+      if (!executable) {
+        throw new Error(`Could not locate boot executable ${bootFile}`)
+      }
+    } finally {
+      await track.close()
+    }
+
+    const lastTrack = await openLastTrack(filePath)
+    try {
+      await hashTrackFile(
+        lastTrack,
+        executable.sector,
+        Math.min(executable.size, MAX_DISC_FILE_HASH_SIZE),
+        hash
+      )
+    } finally {
+      await lastTrack.close()
+    }
+
+    return { hash: hash.digest("hex"), method: "dreamcast" }
+  },
+}
+
+registerHasher(CONSOLE.DREAMCAST, dreamcastHasher)
+
+// FBNeo keeps the sets of the consoles it emulates in folders named after the
+// system, and RetroAchievements includes that folder in the hashed name
+const ARCADE_SYSTEM_FOLDERS = new Set([
+  "chf",
+  "coco",
+  "coleco",
+  "fds",
+  "gg",
+  "md",
+  "megacd",
+  "msx",
+  "nes",
+  "ngp",
+  "pce",
+  "sg1000",
+  "sgx",
+  "sms",
+  "spectrum",
+  "tg16",
+])
+
+/**
+ * Arcade: MAME and FBNeo sets are identified by name, so hash the set's file
+ * name without its extension (sf2.zip -> "sf2") instead of its contents
+ * @type {Hasher}
+ */
+const arcadeHasher = {
+  method: "arcade",
+  hashesArchives: true,
+  hash: async (filePath) => {
+    let setName = path.basename(filePath, path.extname(filePath))
+    const folder = path.basename(path.dirname(filePath))
+    if (ARCADE_SYSTEM_FOLDERS.has(folder)) {
+      setName = `${folder}_${setName}`
+    }
+
+    return {
+      hash: crypto.createHash("md5").update(setName).digest("hex"),
+      method: "arcade",
+    }
+  },
+}
+
+registerHasher(CONSOLE.ARCADE, arcadeHasher)
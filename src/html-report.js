@@ -0,0 +1,367 @@
+import { getResultStatus, getGameUrl, summarizeResults } from "./display.js"
+
+// Colors of each match state, as in the terminal summary
+const STATUS_COLORS = {
+  matched: "#2e9e44",
+  recognized: "#2f6fd0",
+  unmatched: "#d19a0b",
+  error: "#d0342f",
+}
+
+const STYLE = `
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; background: #fafafa; }
+h1 { margin-bottom: 0.25rem; }
+h2 { margin-top: 2.5rem; }
+.meta { color: #666; margin: 0; }
+.summary { display: flex; gap: 2rem; align-items: center; flex-wrap: wrap; }
+.donut { width: 140px; height: 140px; border-radius: 50%; display: grid; place-items: center; }
+.donut span { width: 96px; height: 96px; border-radius: 50%; background: #fafafa; display: grid; place-items: center; font-size: 1.4rem; font-weight: bold; }
+.bars { display: grid; grid-template-columns: auto 240px auto; gap: 0.4rem 0.75rem; align-items: center; }
+.bar { height: 14px; border-radius: 3px; }
+.bar-track { background: #e6e6e6; border-radius: 3px; }
+.controls { margin-top: 2rem; display: flex; gap: 1rem; }
+.controls input { flex: 1; max-width: 24rem; }
+.controls input, .controls select { padding: 0.4rem; font-size: 1rem; }
+table { border-collapse: collapse; width: 100%; background: #fff; }
+th, td { border-bottom: 1px solid #e6e6e6; padding: 0.4rem 0.6rem; text-align: left; vertical-align: middle; }
+th { cursor: pointer; user-select: none; background: #f0f0f0; white-space: nowrap; }
+th[data-order="asc"]::after { content: " ▲"; }
+th[data-order="desc"]::after { content: " ▼"; }
+td.num { text-align: right; }
+td.hash { font-family: monospace; font-size: 0.85rem; }
+img.icon { width: 32px; height: 32px; display: block; }
+.status { font-weight: bold; }
+.note { color: #666; font-size: 0.9rem; }
+.empty { color: #666; }
+a { color: #2f6fd0; }
+`
+
+// Sorts a table by the clicked column, and hides rows that don't match the
+// search text or the status filter
+const SCRIPT = `
+const search = document.getElementById("search")
+const statusFilter = document.getElementById("status")
+function applyFilters() {
+  const text = search.value.trim().toLowerCase()
+  const status = statusFilter.value
+  for (const row of document.querySelectorAll("tbody tr")) {
+    const visible =
+      (!status || row.dataset.status === status) &&
+      row.textContent.toLowerCase().includes(text)
+    row.hidden = !visible
+  }
+}
+search.addEventListener("input", applyFilters)
+statusFilter.addEventListener("change", applyFilters)
+for (const th of document.querySelectorAll("th")) {
+  th.addEventListener("click", () => {
+    const table = th.closest("table")
+    const index = [...th.parentNode.children].indexOf(th)
+    const order = th.dataset.order === "asc" ? "desc" : "asc"
+    for (const other of table.querySelectorAll("th")) delete other.dataset.order
+    th.dataset.order = order
+    const value = (row) => {
+      const cell = row.children[index]
+      return cell.dataset.sort ?? cell.textContent.trim()
+    }
+    const rows = [...table.tBodies[0].rows].sort((a, b) => {
+      const x = value(a)
+      const y = value(b)
+      const diff =
+        th.dataset.type === "number"
+          ? Number(x) - Number(y)
+          : x.localeCompare(y, undefined, { numeric: true })
+      return order === "asc" ? diff : -diff
+    })
+    table.tBodies[0].append(...rows)
+  })
+}
+`
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {*} value - Text (null and undefined become empty)
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
+
+/**
+ * Build a link to a game's RetroAchievements page
+ * @param {Object} game - Game info from the hash map
+ * @returns {string} HTML
+ */
+function gameLink(game) {
+  return `<a href="${escapeHtml(getGameUrl(game.id))}">${escapeHtml(
+    game.title
+  )}</a>`
+}
+
+/**
+ * Build a table, or a note when it has no rows
+ * @param {Array<{label: string, type?: string}>} columns - Column headers ("number" columns sort numerically)
+ * @param {Array<string>} rows - Table rows as HTML
+ * @param {string} emptyText - Shown instead of an empty table
+ * @returns {string} HTML
+ */
+function renderTable(columns, rows, emptyText) {
+  if (rows.length === 0) {
+    return `<p class="empty">${escapeHtml(emptyText)}</p>`
+  }
+  const headers = columns
+    .map(
+      (column) =>
+        `<th${column.type ? ` data-type="${column.type}"` : ""}>${escapeHtml(
+          column.label
+        )}</th>`
+    )
+    .join("")
+  return `<table>
+<thead><tr>${headers}</tr></thead>
+<tbody>
+${rows.join("\n")}
+</tbody>
+</table>`
+}
+
+/**
+ * Build a table row for a matched or recognized ROM
+ * @param {Object} result - Result object from comparison
+ * @param {Map<string, string>} icons - Game icon paths mapped to data: URIs
+ * @returns {string} HTML
+ */
+function renderMatchedRow(result, icons) {
+  const status = getResultStatus(result)
+  const game = result.match || result.recognized
+  const iconUri = icons.get(game.imageIcon)
+  const icon = iconUri
+    ? `<img class="icon" src="${escapeHtml(iconUri)}" alt="">`
+    : ""
+  const version = result.hashInfo?.name
+    ? `<div class="note">${escapeHtml(result.hashInfo.name)}</div>`
+    : ""
+  return `<tr data-status="${status}">
+<td>${icon}</td>
+<td>${gameLink(game)}${version}</td>
+<td>${escapeHtml(result.filename)}</td>
+<td>${escapeHtml(result.consoleName)}</td>
+<td class="num">${game.numAchievements}</td>
+<td class="num">${game.points}</td>
+<td class="hash">${escapeHtml(result.hash)}</td>
+<td class="status" style="color: ${STATUS_COLORS[status]}">${status}</td>
+</tr>`
+}
+
+/**
+ * Build a table row for an unmatched ROM, with what else is known about it
+ * @param {Object} result - Result object from comparison
+ * @returns {string} HTML
+ */
+function renderUnmatchedRow(result) {
+  const notes = []
+  if (result.otherMatch) {
+    notes.push(
+      `Matches ${gameLink(result.otherMatch)} on ${escapeHtml(
+        result.otherMatch.consoleName
+      )}`
+    )
+  }
+  if (result.acceptedHashes?.hashes.length > 0) {
+    const names = result.acceptedHashes.hashes
+      .map((hash) => escapeHtml(hash.name || hash.md5))
+      .join(", ")
+    notes.push(`Accepted versions: ${names}`)
+  }
+  if (result.suggestions?.length > 0) {
+    notes.push(`Did you mean ${result.suggestions.map(gameLink).join(", ")}?`)
+  }
+  return `<tr data-status="unmatched">
+<td>${escapeHtml(result.filename)}</td>
+<td>${escapeHtml(result.consoleName)}</td>
+<td class="hash">${escapeHtml(result.hash)}</td>
+<td>${notes.map((note) => `<div class="note">${note}</div>`).join("")}</td>
+</tr>`
+}
+
+/**
+ * Build a table row for a ROM that couldn't be hashed
+ * @param {Object} result - Result object from comparison
+ * @returns {string} HTML
+ */
+function renderErrorRow(result) {
+  return `<tr data-status="error">
+<td>${escapeHtml(result.filename)}</td>
+<td>${escapeHtml(result.consoleName)}</td>
+<td>${escapeHtml(result.error)}</td>
+</tr>`
+}
+
+/**
+ * Build the summary charts: a donut of the match states and a bar per state
+ * @param {Object} summary - Counts from summarizeResults
+ * @returns {string} HTML
+ */
+function renderSummary(summary) {
+  const states = [
+    ["Matched", summary.matched, STATUS_COLORS.matched],
+    ["Recognized", summary.recognized, STATUS_COLORS.recognized],
+    ["Unmatched", summary.unmatched, STATUS_COLORS.unmatched],
+    ["Errors", summary.errors, STATUS_COLORS.error],
+  ].filter(([label, count]) => count > 0 || label !== "Recognized")
+
+  // Each state takes its share of the circle, in order
+  let start = 0
+  const stops = states.map(([, count, color]) => {
+    const end = summary.total > 0 ? start + (count / summary.total) * 100 : 0
+    const stop = `${color} ${start.toFixed(2)}% ${end.toFixed(2)}%`
+    start = end
+    return stop
+  })
+  const background =
+    summary.total > 0 ? `conic-gradient(${stops.join(", ")})` : "#e6e6e6"
+
+  const bars = states
+    .map(([label, count, color]) => {
+      const width = summary.total > 0 ? (count / summary.total) * 100 : 0
+      return `<span>${label}</span>
+<div class="bar-track"><div class="bar" style="width: ${width.toFixed(
+        2
+      )}%; background: ${color}"></div></div>
+<span>${count}</span>`
+    })
+    .join("\n")
+
+  const otherSystem =
+    summary.otherSystem > 0
+      ? `<p class="note">${summary.otherSystem} unmatched ROMs match a game on another system</p>`
+      : ""
+
+  return `<div class="summary">
+<div class="donut" style="background: ${background}"><span>${summary.matchRate.toFixed(
+    1
+  )}%</span></div>
+<div>
+<div class="bars">
+${bars}
+</div>
+<p>${summary.total} ROMs scanned, ${summary.matchRate.toFixed(1)}% matched</p>
+${otherSystem}
+</div>
+</div>`
+}
+
+/**
+ * Build a standalone HTML report of a scan, to share with people who don't
+ * use the CLI. Styles, scripts and game icons are inline, so opening it loads
+ * nothing from the network.
+ * @param {Array} results - Array of result objects from comparison
+ * @param {Object} scan - Scan metadata
+ * @param {string} scan.directory - Scanned directory
+ * @param {{id: number|null, name: string}} scan.console - Selected console (id is null for mixed-system scans)
+ * @param {string} scan.toolVersion - Version of this tool
+ * @param {number|null} scan.dataFetchedAt - When the hash data was fetched (ms since epoch)
+ * @param {Object} options - Report options
+ * @param {Map<string, string>} options.icons - Game icon paths mapped to data: URIs (games without one get no icon)
+ * @returns {string} HTML document
+ */
+export function formatHtmlReport(results, scan, options = {}) {
+  const icons = options.icons || new Map()
+  const sorted = [...results].sort((a, b) =>
+    a.filename.localeCompare(b.filename)
+  )
+  const summary = summarizeResults(results)
+  const timestamp = new Date().toISOString()
+
+  const matchedRows = sorted
+    .filter((r) => r.match || r.recognized)
+    .map((result) => renderMatchedRow(result, icons))
+  const unmatchedRows = sorted
+    .filter((r) => getResultStatus(r) === "unmatched")
+    .map(renderUnmatchedRow)
+  const errorRows = sorted.filter((r) => r.error).map(renderErrorRow)
+
+  const hashData = scan.dataFetchedAt
+    ? `, hash data fetched <time datetime="${new Date(
+        scan.dataFetchedAt
+      ).toISOString()}">${new Date(scan.dataFetchedAt).toISOString()}</time>`
+    : ""
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>ROM Report: ${escapeHtml(scan.console.name)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>RetroAchievements ROM Report</h1>
+<p class="meta">${escapeHtml(scan.console.name)} · ${escapeHtml(
+    scan.directory
+  )}</p>
+<p class="meta">Scanned <time datetime="${timestamp}">${timestamp}</time>${hashData} · RetroAchievements ROM Hash Checker ${escapeHtml(
+    scan.toolVersion
+  )}</p>
+
+<h2>Summary</h2>
+${renderSummary(summary)}
+
+<div class="controls">
+<input id="search" type="search" placeholder="Filter by title, file, hash…">
+<select id="status">
+<option value="">All statuses</option>
+<option value="matched">Matched</option>
+<option value="recognized">Recognized</option>
+<option value="unmatched">Unmatched</option>
+<option value="error">Errors</option>
+</select>
+</div>
+
+<h2>${summary.recognized > 0 ? "Matched and Recognized" : "Matched"} (${
+    matchedRows.length
+  })</h2>
+${renderTable(
+  [
+    { label: "" },
+    { label: "Game" },
+    { label: "File" },
+    { label: "System" },
+    { label: "Achievements", type: "number" },
+    { label: "Points", type: "number" },
+    { label: "Hash" },
+    { label: "Status" },
+  ],
+  matchedRows,
+  "No ROMs matched."
+)}
+
+<h2>Unmatched (${unmatchedRows.length})</h2>
+${renderTable(
+  [
+    { label: "File" },
+    { label: "System" },
+    { label: "Hash" },
+    { label: "Notes" },
+  ],
+  unmatchedRows,
+  "Every ROM matched."
+)}
+
+<h2>Errors (${errorRows.length})</h2>
+${renderTable(
+  [{ label: "File" }, { label: "System" }, { label: "Error" }],
+  errorRows,
+  "No errors."
+)}
+
+<script>${SCRIPT}</script>
+</body>
+</html>
+`
+}
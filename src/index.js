@@ -4,9 +4,28 @@ import { program } from "commander"
 import inquirer from "inquirer"
 import ora from "ora"
 import chalk from "chalk"
+import path from "path"
+import fs from "fs"
 
-import { getCredentials } from "./config.js"
-import { createAuthorization, getConsoles, getGameHashes } from "./api.js"
+import { getCredentials, loadConfig } from "./config.js"
+import { createConsoleResolver, getRelatedConsoleIds } from "./detect.js"
+import { createFixtureBackend } from "./fixtures.js"
+import { getHasher, hashRom } from "./hashers.js"
+import { normalizeTitle, suggestGames, titleFromFilename } from "./titles.js"
+import {
+  DEFAULT_CACHE_TTL_HOURS,
+  exportCache,
+  getCached,
+  openOfflineDatabase,
+} from "./cache.js"
+import {
+  createHttpBackend,
+  getConsoles,
+  getGameHashes,
+  getGameHashInfo,
+  getGameIcons,
+  getUserProgress,
+} from "./api.js"
 import {
   scanDirectory,
   listRomFiles,
@@ -20,53 +39,359 @@ import {
   displayScanInfo,
   displayError,
   displayApiStats,
+  displaySuccess,
+  formatAge,
+  formatCsvReport,
+  formatJsonReport,
+  formatMarkdownReport,
 } from "./display.js"
+import { formatHtmlReport } from "./html-report.js"
+import {
+  FAIL_ON_CONDITIONS,
+  POLICY_FAILURE_EXIT_CODE,
+  checkExitPolicy,
+  parseExitPolicy,
+} from "./exit-policy.js"
+
+const { version: TOOL_VERSION } = JSON.parse(
+  fs.readFileSync(new URL("../package.json", import.meta.url), "utf-8")
+)
+
+// Report formats for --format: the terminal table, or files for other tools
+const REPORT_FORMATS = {
+  json: formatJsonReport,
+  csv: formatCsvReport,
+  html: formatHtmlReport,
+  markdown: formatMarkdownReport,
+}
+const FORMAT_NAMES = ["table", ...Object.keys(REPORT_FORMATS)].join(", ")
 
 // CLI configuration
 program
   .name("ra-hash")
   .description("Check ROM hashes against RetroAchievements database")
-  .version("1.0.0")
+  .version(TOOL_VERSION)
   .option("-p, --path <directory>", "Path to ROM directory", process.cwd())
-  .option("-s, --system <id>", "System/console ID (skip selection prompt)")
+  .option(
+    "-s, --system <id>",
+    'System/console ID (skip selection prompt), or "auto" to detect it per file'
+  )
+  .option(
+    "--cross-check [ids]",
+    'Check unmatched ROMs against other systems: related ones by default, a comma-separated list of IDs, or "all"'
+  )
+  .option(
+    "--hash-labels",
+    "Show which dump or version each matched hash is, and the versions RA accepts for unmatched ROMs of matched games"
+  )
+  .option(
+    "--suggest",
+    "Suggest RetroAchievements games for unmatched ROMs from their file names"
+  )
+  .option(
+    "--all-games",
+    "Also load games without achievements, to tell ROMs RetroAchievements recognizes apart from unknown ones"
+  )
+  .option("--progress", "Show your own achievement progress for matched games")
+  .option(
+    "--refresh",
+    "Ignore cached RetroAchievements data and fetch it again"
+  )
+  .option(
+    "--cache-ttl <hours>",
+    `Hours to reuse cached RetroAchievements data (default: ${DEFAULT_CACHE_TTL_HOURS})`
+  )
+  .option(
+    "--offline",
+    "Scan without internet access, using cached RetroAchievements data"
+  )
+  .option(
+    "--database <file>",
+    "Hash database written by --export-database (implies --offline)"
+  )
+  .option(
+    "--api-url <url>",
+    "RetroAchievements Web API base URL, e.g. a mock server (env: RA_API_URL)"
+  )
+  .option(
+    "--send-credentials",
+    "Send your RetroAchievements credentials to the --api-url server (HTTPS only), e.g. a proxy in front of the Web API"
+  )
+  .option(
+    "--fixtures <file>",
+    "Answer API calls from a fixture file instead of the network (env: RA_FIXTURES)"
+  )
+  .option("-f, --format <format>", `Report format: ${FORMAT_NAMES}`, "table")
+  .option("--delimiter <char>", 'CSV field delimiter, e.g. ";" or "tab"', ",")
+  .option(
+    "-o, --output <file>",
+    "Write the report to a file (the table is still shown) instead of stdout"
+  )
+  .option(
+    "--non-interactive",
+    "Never prompt: fail instead, read credentials from RA_USERNAME and RA_API_KEY, and skip .7z files without 7-Zip"
+  )
+  .option(
+    "--fail-on <conditions>",
+    `Exit with code ${POLICY_FAILURE_EXIT_CODE} on unmatched ROMs or hashing errors: ${FAIL_ON_CONDITIONS.join(
+      ", "
+    )} (comma-separated)`
+  )
+  .option(
+    "--min-match-rate <percent>",
+    `Exit with code ${POLICY_FAILURE_EXIT_CODE} if fewer than this percentage of ROMs match`
+  )
+  .option(
+    "--export-database <file>",
+    "Write all cached RetroAchievements data to a file for offline use, then exit"
+  )
   .parse(process.argv)
 
 const options = program.opts()
 
+// Console list entry for scanning a directory with mixed systems
+const AUTO_DETECT_CONSOLE = {
+  id: null,
+  name: "Auto-detected systems",
+  auto: true,
+}
+
 /**
  * Main application entry point
  */
 async function main() {
   try {
-    displayHeader("RetroAchievements ROM Hash Checker")
+    const format = options.format.toLowerCase()
+    if (format !== "table" && !REPORT_FORMATS[format]) {
+      displayError(
+        `Unknown report format: ${options.format} (expected ${FORMAT_NAMES})`
+      )
+      process.exit(1)
+    }
+    if (options.output && format === "table") {
+      displayError("--output needs a report format, e.g. --format json")
+      process.exit(1)
+    }
+    const delimiter = options.delimiter === "tab" ? "\t" : options.delimiter
+    if (delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+      displayError(`Invalid CSV delimiter: ${options.delimiter}`)
+      process.exit(1)
+    }
+    const exitPolicy = parseExitPolicy(options)
+    const interactive = !options.nonInteractive
+    if (!interactive && !options.system && !options.exportDatabase) {
+      displayError(
+        '--non-interactive needs --system (a console ID, or "auto" to detect it per file)'
+      )
+      process.exit(1)
+    }
 
-    // Step 1: Get credentials
-    const credentials = await getCredentials()
-    const authorization = createAuthorization(credentials)
+    // A report written to stdout keeps it to itself: messages and prompts
+    // go to stderr so the output can be piped into other tools
+    const reportToStdout = format !== "table" && !options.output
+    const log = reportToStdout ? console.error : console.log
+    const prompt = inquirer.createPromptModule(
+      reportToStdout ? { output: process.stderr } : {}
+    )
+
+    displayHeader("RetroAchievements ROM Hash Checker", log)
+
+    if (options.exportDatabase) {
+      const count = exportCache(options.exportDatabase)
+      if (count === 0) {
+        displayError("Nothing cached yet. Run a scan online first.")
+        process.exit(1)
+      }
+      displaySuccess(
+        `Exported ${count} cached entries to ${options.exportDatabase}`,
+        log
+      )
+      return
+    }
+
+    // Step 1: Get credentials (offline scans use saved data instead, and
+    // test backends don't need real ones)
+    const offline = Boolean(options.offline || options.database)
+    const apiUrl = options.apiUrl || process.env.RA_API_URL
+    const fixturesPath = options.fixtures || process.env.RA_FIXTURES
+    const testBackend = Boolean(apiUrl || fixturesPath)
+    let backend = null
+    let offlineDatabase = null
+    let cacheOptions = null
+
+    if (offline && testBackend) {
+      displayError(
+        "--offline and --database can't be combined with --api-url or --fixtures"
+      )
+      process.exit(1)
+    }
 
-    // Step 2: Check ROM directory
+    if (options.sendCredentials && (fixturesPath || !apiUrl)) {
+      displayError("--send-credentials only applies to --api-url")
+      process.exit(1)
+    }
+
+    if (testBackend) {
+      // Test backends get placeholder credentials, so a mistyped URL or a
+      // leftover RA_API_URL can't leak the API key. Real ones go to HTTPS
+      // servers only (e.g. a proxy in front of the Web API), on request
+      let credentials = { username: "mock", apiKey: "mock" }
+      if (options.sendCredentials) {
+        if (!/^https:\/\//i.test(apiUrl)) {
+          displayError(
+            `--send-credentials needs an https:// API URL, not ${apiUrl}`
+          )
+          process.exit(1)
+        }
+        credentials = await getCredentials({ interactive, prompt, log })
+      }
+      backend = fixturesPath
+        ? createFixtureBackend(fixturesPath, { username: credentials.username })
+        : createHttpBackend(credentials, { baseUrl: apiUrl })
+      log(
+        chalk.dim(
+          `Test mode: RetroAchievements data from ${backend.description}`
+        )
+      )
+    } else if (offline) {
+      offlineDatabase = openOfflineDatabase(options.database)
+      log(
+        chalk.dim(
+          `Offline mode: using ${
+            options.database || "cached RetroAchievements data"
+          }`
+        )
+      )
+    } else {
+      const credentials = await getCredentials({ interactive, prompt, log })
+      backend = createHttpBackend(credentials)
+      cacheOptions = getCacheOptions(loadConfig() || {})
+    }
+
+    /**
+     * Load RetroAchievements data through the cache, or from the offline
+     * database without touching the API
+     * @param {string} key - Cache entry name
+     * @param {Function} fetchData - Fetches the data from the API
+     * @returns {Promise<Object|null>} Result of getCached, or null if offline data is missing
+     */
+    const loadData = async (key, fetchData) => {
+      if (testBackend) {
+        // Test data must not end up in the cache of real data
+        return {
+          data: await fetchData(),
+          fetchedAt: Date.now(),
+          fromCache: false,
+        }
+      }
+      if (!offline) {
+        return getCached(key, fetchData, cacheOptions)
+      }
+      const entry = offlineDatabase.read(key)
+      return entry && { ...entry, fromCache: true, offline: true }
+    }
+
+    // Step 3: Fetch consoles
+    let spinner = ora("Fetching console list from RetroAchievements...").start()
+    let consoles
+
+    try {
+      const cached = await loadData("consoles", () =>
+        getConsoles(backend, { onRetry: reportRetry(spinner) })
+      )
+      if (!cached) {
+        throw new Error(
+          "No saved console list. Run a scan online first, or pass --database with an exported hash database."
+        )
+      }
+      consoles = cached.data
+      spinner.succeed(
+        `Loaded ${consoles.length} systems from RetroAchievements` +
+          describeSource(cached)
+      )
+    } catch (error) {
+      spinner.fail("Failed to fetch console list")
+      displayError(error.message)
+      process.exit(1)
+    }
+
+    // Step 4: Select console
+    let selectedConsole
+
+    if (options.system === "auto") {
+      selectedConsole = AUTO_DETECT_CONSOLE
+    } else if (options.system) {
+      // Use provided system ID
+      const systemId = parseInt(options.system, 10)
+      selectedConsole = consoles.find((c) => c.id === systemId)
+
+      if (!selectedConsole) {
+        displayError(`System ID ${systemId} not found`)
+        process.exit(1)
+      }
+    } else {
+      // Show selection list
+      const choices = [
+        {
+          name: "Auto-detect per file (mixed systems)",
+          value: AUTO_DETECT_CONSOLE,
+        },
+        ...consoles.map((c) => ({
+          name: `${c.name} (ID: ${c.id})`,
+          value: c,
+        })),
+      ]
+
+      const answer = await prompt([
+        {
+          type: "list",
+          name: "console",
+          message: "Select the system for your ROMs:",
+          choices,
+          pageSize: 15,
+          loop: false,
+        },
+      ])
+
+      selectedConsole = answer.console
+    }
+
+    log(chalk.cyan(`\nSelected: ${selectedConsole.name}\n`))
+
+    // Step 5: Check ROM directory. Systems that hash archives as ROM sets
+    // (Arcade) count each archive once and never extract anything
     const romDirectory = options.path
-    const romFiles = await listRomFiles(romDirectory)
+    const hashesRomSets = getHasher(selectedConsole.id)?.hashesArchives === true
+    const romFiles = await listRomFiles(romDirectory, {
+      consoleId: selectedConsole.id,
+    })
 
     if (romFiles.length === 0) {
       displayError(`No ROM files found in: ${romDirectory}`)
-      console.log(
+      log(
         chalk.dim(
-          "Supported extensions: .nes, .sfc, .smc, .gb, .gbc, .gba, .md, .bin, .n64, .iso, and more"
+          hashesRomSets
+            ? `${selectedConsole.name} ROM sets are read from .zip, .7z and .rar archives`
+            : "Supported extensions: .nes, .sfc, .smc, .gb, .gbc, .gba, .md, .bin, .n64, .iso, and more"
         )
       )
       process.exit(1)
     }
 
-    console.log(
-      chalk.dim(`Found ${romFiles.length} ROM file(s) in ${romDirectory}\n`)
+    log(
+      chalk.dim(
+        `Found ${romFiles.length} ${
+          hashesRomSets ? "ROM set(s)" : "ROM file(s)"
+        } in ${romDirectory}\n`
+      )
     )
 
-    // Step 2.5: Check for 7z files and 7zip availability
-    if (has7zFiles(romDirectory)) {
+    // Step 5.5: Check for 7z files and 7zip availability (ROM sets are
+    // hashed by name, so they don't need 7-Zip)
+    if (!hashesRomSets && has7zFiles(romDirectory)) {
       const sevenZipAvailable = await is7zipAvailable()
       if (!sevenZipAvailable) {
-        console.log(
+        log(
           chalk.yellow(
             "⚠️  7-Zip archive files (.7z) detected in the directory."
           )
@@ -75,15 +400,15 @@ async function main() {
         // Try to get the path for debugging
         const detectedPath = await get7zipExecutablePath()
         if (detectedPath && process.env.DEBUG) {
-          console.log(chalk.dim(`\n[DEBUG] Detected 7-Zip at: ${detectedPath}`))
+          log(chalk.dim(`\n[DEBUG] Detected 7-Zip at: ${detectedPath}`))
         }
 
-        console.log(
+        log(
           chalk.dim(
             "\nTo scan 7-Zip archives, you need to install the 7-Zip command line tool."
           )
         )
-        console.log(
+        log(
           chalk.dim(
             "\nInstallation instructions:\n" +
               "  Windows: Download from https://www.7-zip.org/download.html\n" +
@@ -96,31 +421,34 @@ async function main() {
         )
 
         if (process.env.DEBUG) {
-          console.log(
+          log(
             chalk.dim(
               `\n[DEBUG] Current PATH: ${process.env.PATH || "not set"}`
             )
           )
         }
 
-        const answer = await inquirer.prompt([
-          {
-            type: "confirm",
-            name: "continue",
-            message:
-              "Continue scanning anyway? (7-Zip archives will be skipped)",
-            default: false,
-          },
-        ])
+        // Scheduled jobs can't answer, so they scan what they can
+        const answer = interactive
+          ? await prompt([
+              {
+                type: "confirm",
+                name: "continue",
+                message:
+                  "Continue scanning anyway? (7-Zip archives will be skipped)",
+                default: false,
+              },
+            ])
+          : { continue: true }
 
         if (!answer.continue) {
-          console.log(
+          log(
             chalk.dim("\nScan cancelled. Please install 7-Zip and try again.")
           )
           process.exit(0)
         }
 
-        console.log(
+        log(
           chalk.yellow(
             "\n⚠️  Continuing scan without 7-Zip support. .7z files will be skipped.\n"
           )
@@ -128,76 +456,70 @@ async function main() {
       }
     }
 
-    // Step 3: Fetch consoles
-    let spinner = ora("Fetching console list from RetroAchievements...").start()
-    let consoles
+    // Systems to compare unmatched ROMs with (null: each ROM's related ones)
+    const crossCheckIds = options.crossCheck
+      ? parseCrossCheckIds(options.crossCheck, consoles)
+      : null
 
-    try {
-      consoles = await getConsoles(authorization)
-      spinner.succeed(
-        `Loaded ${consoles.length} systems from RetroAchievements`
-      )
-    } catch (error) {
-      spinner.fail("Failed to fetch console list")
-      displayError(error.message)
-      process.exit(1)
+    /**
+     * Load the known hashes of a console
+     * @param {Object} system - Console with id and name
+     * @returns {Promise<{hashMap: Map, fetchedAt: number, source: string}>}
+     */
+    const loadHashMap = async (system) => {
+      // Maps don't survive JSON, so the cache holds the map's entries
+      const key = options.allGames
+        ? `hashes-all-${system.id}`
+        : `hashes-${system.id}`
+      const cached = await loadData(key, async () => [
+        ...(await getGameHashes(backend, system.id, {
+          includeGamesWithoutAchievements: Boolean(options.allGames),
+          onRetry: reportRetry(spinner),
+        })),
+      ])
+      if (!cached) {
+        throw new Error(
+          `No hash database for ${system.name} (ID: ${system.id}). Run a scan for this system online first, or export a database that includes it.`
+        )
+      }
+      return {
+        hashMap: new Map(cached.data),
+        fetchedAt: cached.fetchedAt,
+        source: describeSource(cached),
+      }
     }
 
-    // Step 4: Select console
-    let selectedConsole
+    // Known hashes by console ID, and why a console's hashes couldn't be loaded
+    const hashMaps = new Map()
+    const hashMapErrors = new Map()
+    let hashDataFetchedAt = null
 
-    if (options.system) {
-      // Use provided system ID
-      const systemId = parseInt(options.system, 10)
-      selectedConsole = consoles.find((c) => c.id === systemId)
+    // Step 6: Fetch game hashes for selected console (mixed scans fetch
+    // them after hashing, once the systems involved are known)
+    if (!selectedConsole.auto) {
+      spinner = ora(`Fetching game data for ${selectedConsole.name}...`).start()
 
-      if (!selectedConsole) {
-        displayError(`System ID ${systemId} not found`)
+      try {
+        const loaded = await loadHashMap(selectedConsole)
+        hashMaps.set(selectedConsole.id, loaded.hashMap)
+        hashDataFetchedAt = loaded.fetchedAt
+        spinner.succeed(
+          `Loaded ${loaded.hashMap.size} known hashes for ${selectedConsole.name}` +
+            loaded.source
+        )
+      } catch (error) {
+        spinner.fail("Failed to fetch game data")
+        displayError(error.message)
         process.exit(1)
       }
-    } else {
-      // Show selection list
-      const choices = consoles.map((c) => ({
-        name: `${c.name} (ID: ${c.id})`,
-        value: c,
-      }))
-
-      const answer = await inquirer.prompt([
-        {
-          type: "list",
-          name: "console",
-          message: "Select the system for your ROMs:",
-          choices,
-          pageSize: 15,
-          loop: false,
-        },
-      ])
-
-      selectedConsole = answer.console
-    }
-
-    console.log(chalk.cyan(`\nSelected: ${selectedConsole.name}\n`))
-
-    // Step 6: Fetch game hashes for selected console
-    spinner = ora(`Fetching game data for ${selectedConsole.name}...`).start()
-    let hashMap
-
-    try {
-      hashMap = await getGameHashes(authorization, selectedConsole.id)
-      spinner.succeed(
-        `Loaded ${hashMap.size} known hashes for ${selectedConsole.name}`
-      )
-    } catch (error) {
-      spinner.fail("Failed to fetch game data")
-      displayError(error.message)
-      process.exit(1)
     }
 
     // Step 7: Scan ROMs and calculate hashes
-    displayScanInfo(romDirectory, romFiles.length, selectedConsole.name)
+    displayScanInfo(romDirectory, romFiles.length, selectedConsole.name, log)
 
     spinner = ora("Calculating ROM hashes...").start()
     let scannedRoms
+    const skippedFiles = []
 
     try {
       // Enable debug logging if DEBUG env var is set
@@ -206,6 +528,27 @@ async function main() {
       }
 
       scannedRoms = await scanDirectory(romDirectory, {
+        consoleId: selectedConsole.id,
+        resolveConsoleId: selectedConsole.auto
+          ? createConsoleResolver({
+              folderSystems: (loadConfig() || {}).folderSystems,
+              // Without prompts, files of undecided systems are reported as
+              // errors
+              chooseConsole: interactive
+                ? async (candidateIds, relativePath) => {
+                    spinner.stop()
+                    const consoleId = await promptForSystem(
+                      prompt,
+                      consoles,
+                      candidateIds,
+                      relativePath
+                    )
+                    spinner.start()
+                    return consoleId
+                  }
+                : null,
+            })
+          : null,
         onFileStart: (filename, size) => {
           if (!process.env.DEBUG) {
             // Update spinner text with current file being processed
@@ -215,8 +558,16 @@ async function main() {
         onFileComplete: (filename, hash) => {
           // Progress updates are handled by scanDirectory logging
         },
+        getConsoleName: (consoleId) =>
+          consoles.find((c) => c.id === consoleId)?.name,
+        onSkip: (reason, displayNames) => {
+          skippedFiles.push({ reason, count: displayNames.length })
+        },
       })
       spinner.succeed(`Hashed ${scannedRoms.length} ROM files`)
+      for (const { reason, count } of skippedFiles) {
+        log(chalk.yellow(`⚠️  Skipped ${count} file(s): ${reason}`))
+      }
     } catch (error) {
       spinner.fail("Failed to scan ROMs")
       console.error(chalk.red(`\n[ERROR] Scan failed: ${error.message}`))
@@ -227,52 +578,366 @@ async function main() {
       process.exit(1)
     }
 
+    // Step 7.5: Fetch game hashes for every system found in a mixed scan
+    if (selectedConsole.auto) {
+      const consoleIds = [
+        ...new Set(scannedRoms.filter((r) => !r.error).map((r) => r.consoleId)),
+      ]
+
+      for (const consoleId of consoleIds) {
+        const system = consoles.find((c) => c.id === consoleId) || {
+          id: consoleId,
+          name: `System ${consoleId}`,
+        }
+        spinner = ora(`Fetching game data for ${system.name}...`).start()
+
+        try {
+          const loaded = await loadHashMap(system)
+          hashMaps.set(consoleId, loaded.hashMap)
+          hashDataFetchedAt = Math.min(
+            hashDataFetchedAt ?? loaded.fetchedAt,
+            loaded.fetchedAt
+          )
+          spinner.succeed(
+            `Loaded ${loaded.hashMap.size} known hashes for ${system.name}` +
+              loaded.source
+          )
+        } catch (error) {
+          // Other systems can still be checked
+          spinner.fail(`Failed to fetch game data for ${system.name}`)
+          hashMapErrors.set(consoleId, error.message)
+        }
+      }
+    }
+
     // Step 8: Compare hashes
     spinner = ora("Comparing against RetroAchievements database...").start()
 
     const results = scannedRoms.map((rom) => {
-      if (rom.error) {
+      const consoleId = rom.consoleId ?? selectedConsole.id
+      const consoleName = consoles.find((c) => c.id === consoleId)?.name
+      const error = rom.error || hashMapErrors.get(consoleId)
+      if (error) {
         return {
           filename: rom.filename,
+          path: rom.path,
+          romName: rom.romName,
+          archiveName: rom.archiveName,
+          size: rom.size,
+          consoleId: rom.consoleId,
           hash: null,
           match: null,
-          error: rom.error,
+          error,
+          consoleName,
         }
       }
 
-      const match = hashMap.get(rom.hash)
+      // Games without achievements are only in the hash data with --all-games
+      const game = hashMaps.get(consoleId).get(rom.hash)
+      const hasAchievements = game?.numAchievements > 0
       return {
         filename: rom.filename,
+        path: rom.path,
+        romName: rom.romName,
+        archiveName: rom.archiveName,
+        size: rom.size,
+        consoleId,
         hash: rom.hash,
-        match: match || null,
+        hashMethod: rom.hashMethod,
+        header: rom.header,
+        match: hasAchievements ? game : null,
+        recognized: game && !hasAchievements ? game : null,
         error: null,
+        consoleName,
       }
     })
 
     const matchedCount = results.filter((r) => r.match).length
+    const recognizedCount = results.filter((r) => r.recognized).length
     spinner.succeed(
-      `Comparison complete: ${matchedCount}/${results.length} matches found`
+      `Comparison complete: ${matchedCount}/${results.length} matches found` +
+        (recognizedCount > 0
+          ? `, ${recognizedCount} more recognized without achievements`
+          : "")
     )
 
-    // Step 9: Display results
-    displayResults(results, { consoleName: selectedConsole.name })
+    // Step 8.1: Look up which dump each matched hash is, and the versions RA
+    // accepts for unmatched ROMs of matched games
+    if (options.hashLabels && matchedCount > 0) {
+      spinner = ora("Fetching hash labels...").start()
+      const matchedResults = results.filter((r) => r.match)
+      const unmatchedResults = results.filter(
+        (r) => !r.match && !r.recognized && !r.error
+      )
+
+      // Matched games by system and title, from both the RA title and the
+      // matched file's name, so "Game (Europe)" finds the game "Game (USA)" matched
+      const familyKey = (consoleId, title) =>
+        `${consoleId}:${normalizeTitle(title)}`
+      const families = new Map()
+      for (const result of matchedResults) {
+        families.set(
+          familyKey(result.consoleId, result.match.title),
+          result.match
+        )
+        families.set(
+          familyKey(result.consoleId, titleFromFilename(result.filename)),
+          result.match
+        )
+      }
+      const findFamily = (result) =>
+        families.get(
+          familyKey(result.consoleId, titleFromFilename(result.filename))
+        )
+
+      const gameIds = new Set([
+        ...matchedResults.map((r) => r.match.id),
+        ...unmatchedResults
+          .map(findFamily)
+          .filter(Boolean)
+          .map((game) => game.id),
+      ])
+      const hashInfo = new Map()
+      const failures = []
+      for (const gameId of gameIds) {
+        spinner.text = `Fetching hash labels... (${hashInfo.size + 1}/${
+          gameIds.size
+        })`
+        try {
+          const cached = await loadData(`game-hashes-${gameId}`, () =>
+            getGameHashInfo(backend, gameId, {
+              onRetry: reportRetry(spinner),
+            })
+          )
+          if (cached) {
+            hashInfo.set(gameId, cached.data)
+          }
+        } catch (error) {
+          failures.push(error.message)
+        }
+      }
+
+      for (const result of matchedResults) {
+        result.hashInfo =
+          hashInfo.get(result.match.id)?.find((h) => h.md5 === result.hash) ||
+          null
+      }
+      for (const result of unmatchedResults) {
+        const game = findFamily(result)
+        if (game && hashInfo.has(game.id)) {
+          result.acceptedHashes = { game, hashes: hashInfo.get(game.id) }
+        }
+      }
+
+      if (failures.length > 0) {
+        // Labels are extra detail, so the report goes on without them
+        spinner.warn(
+          `Loaded hash labels for ${hashInfo.size}/${gameIds.size} games (${failures[0]})`
+        )
+      } else {
+        spinner.succeed(`Loaded hash labels for ${hashInfo.size} games`)
+      }
+    }
+
+    // Step 8.25: Look for unmatched ROMs in other systems' hash data
+    if (options.crossCheck) {
+      const unmatchedResults = results.filter(
+        (r) => !r.match && !r.recognized && !r.error
+      )
+      spinner = ora("Checking unmatched ROMs against other systems...").start()
+
+      /**
+       * Get the known hashes of a system, loading them on first use
+       * @param {number} consoleId - Console ID
+       * @returns {Promise<Map|null>} Hash map, or null if it couldn't be loaded
+       */
+      const getHashMap = async (consoleId) => {
+        if (!hashMaps.has(consoleId) && !hashMapErrors.has(consoleId)) {
+          const system = consoles.find((c) => c.id === consoleId)
+          try {
+            spinner.text = `Checking unmatched ROMs against ${system.name}...`
+            hashMaps.set(consoleId, (await loadHashMap(system)).hashMap)
+          } catch (error) {
+            hashMapErrors.set(consoleId, error.message)
+          }
+        }
+        return hashMaps.get(consoleId) || null
+      }
+
+      let found = 0
+      for (const result of unmatchedResults) {
+        const candidateIds =
+          crossCheckIds ??
+          (await getRelatedConsoleIds(result.path, result.consoleId))
+
+        for (const consoleId of candidateIds) {
+          if (
+            consoleId === result.consoleId ||
+            !consoles.some((c) => c.id === consoleId)
+          ) {
+            continue
+          }
+          const hash = await hashForConsole(result, consoleId)
+          const hashMap = hash && (await getHashMap(consoleId))
+          const match = hashMap?.get(hash)
+          if (match) {
+            result.otherMatch = {
+              ...match,
+              consoleId,
+              consoleName: consoles.find((c) => c.id === consoleId).name,
+            }
+            found++
+            break
+          }
+        }
+      }
+
+      spinner.succeed(
+        `Cross-check complete: ${found}/${unmatchedResults.length} unmatched ROMs match another system`
+      )
+    }
+
+    // Step 8.3: Suggest games for unmatched ROMs by comparing their file
+    // names with the titles of the system's games
+    if (options.suggest) {
+      const gamesBySystem = new Map()
+      for (const result of results) {
+        if (
+          result.match ||
+          result.recognized ||
+          result.error ||
+          result.otherMatch
+        ) {
+          continue
+        }
+        if (!gamesBySystem.has(result.consoleId)) {
+          // A game appears once per hash in the hash map
+          const games = new Map()
+          for (const game of hashMaps.get(result.consoleId).values()) {
+            games.set(game.id, game)
+          }
+          gamesBySystem.set(result.consoleId, [...games.values()])
+        }
+        result.suggestions = suggestGames(
+          titleFromFilename(result.filename),
+          gamesBySystem.get(result.consoleId)
+        )
+      }
+    }
+
+    // Step 8.5: Fetch the user's progress for matched games (always live,
+    // since it changes as achievements are unlocked)
+    let showProgress = false
+    if (options.progress && matchedCount > 0) {
+      if (offline) {
+        log(
+          chalk.yellow("\n⚠️  Achievement progress isn't available offline.\n")
+        )
+      } else {
+        spinner = ora(
+          `Fetching achievement progress for ${backend.username}...`
+        ).start()
+
+        try {
+          const progress = await getUserProgress(backend, backend.username, {
+            onRetry: reportRetry(spinner),
+          })
+          for (const result of results.filter((r) => r.match)) {
+            result.progress = progress.get(result.match.id) || null
+          }
+          showProgress = true
+          spinner.succeed(`Loaded progress for ${progress.size} played games`)
+        } catch (error) {
+          // The hash report is still useful without progress
+          spinner.fail(`Failed to fetch achievement progress: ${error.message}`)
+        }
+      }
+    }
+
+    // Step 8.75: Download the icons of matched games for an HTML report, which
+    // embeds them so that opening it loads nothing from the network
+    let icons = new Map()
+    const iconPaths = results
+      .map((r) => (r.match || r.recognized)?.imageIcon)
+      .filter(Boolean)
+    if (format === "html" && backend?.fetchImage && iconPaths.length > 0) {
+      spinner = ora("Downloading game icons for the report...").start()
+      icons = await getGameIcons(backend, iconPaths)
+      const missing = new Set(iconPaths).size - icons.size
+      spinner.succeed(
+        `Downloaded ${icons.size} game icons` +
+          (missing > 0 ? `, ${missing} left out` : "")
+      )
+    }
+
+    // Step 9: Display results (and write the report), then apply the exit
+    // code policy
+    const policyFailures = checkExitPolicy(exitPolicy, results)
+
+    if (format !== "table") {
+      const report = REPORT_FORMATS[format](
+        results,
+        {
+          directory: path.resolve(romDirectory),
+          console: {
+            id: selectedConsole.id,
+            name: selectedConsole.name,
+          },
+          toolVersion: TOOL_VERSION,
+          dataFetchedAt: hashDataFetchedAt,
+        },
+        { delimiter, icons }
+      )
+
+      if (reportToStdout) {
+        process.stdout.write(report)
+        reportPolicyFailures(policyFailures)
+        return
+      }
+      try {
+        fs.writeFileSync(options.output, report, "utf-8")
+      } catch (error) {
+        displayError(`Could not write report: ${error.message}`)
+        process.exit(1)
+      }
+    }
+
+    displayResults(results, {
+      consoleName: selectedConsole.name,
+      dataFetchedAt: hashDataFetchedAt,
+      showSystems: selectedConsole.auto === true,
+      showProgress,
+    })
 
     // Additional info
     if (matchedCount > 0) {
-      console.log(
+      log(
         chalk.dim(
           "Tip: Matched ROMs have verified achievements on RetroAchievements.org"
         )
       )
     }
 
-    if (results.some((r) => !r.match && !r.error)) {
-      console.log(
+    if (results.some((r) => r.recognized)) {
+      log(
+        chalk.dim(
+          "Tip: Recognized ROMs are known to RetroAchievements, but their achievement sets aren't published yet"
+        )
+      )
+    }
+
+    if (results.some((r) => !r.match && !r.recognized && !r.error)) {
+      log(
         chalk.dim(
           "Tip: Unmatched ROMs may be different versions, hacks, or not yet in the RA database"
         )
       )
     }
+
+    if (options.output) {
+      displaySuccess(`Wrote ${format} report to ${options.output}`, log)
+    }
+    reportPolicyFailures(policyFailures)
   } catch (error) {
     displayError(error.message)
     if (process.env.DEBUG) {
@@ -282,5 +947,148 @@ async function main() {
   }
 }
 
+/**
+ * Ask which system files with an ambiguous extension belong to
+ * @param {Function} prompt - Inquirer prompt function to ask with
+ * @param {Array} consoles - Console list from RetroAchievements
+ * @param {Array<number>} candidateIds - Console IDs the files may belong to
+ * @param {string} relativePath - First file that needs an answer
+ * @returns {Promise<number|null>} Chosen console ID, or null to skip the files
+ */
+async function promptForSystem(prompt, consoles, candidateIds, relativePath) {
+  const candidates = consoles.filter((c) => candidateIds.includes(c.id))
+  const folder = path.dirname(relativePath)
+  const ext = path.extname(relativePath).toLowerCase()
+
+  const answer = await prompt([
+    {
+      type: "list",
+      name: "consoleId",
+      message: `Which system are the ${ext} files in ${
+        folder === "." ? "the top folder" : folder
+      } for? (e.g. ${path.basename(relativePath)})`,
+      choices: [
+        ...candidates.map((c) => ({
+          name: `${c.name} (ID: ${c.id})`,
+          value: c.id,
+        })),
+        { name: "Skip these files", value: null },
+      ],
+      pageSize: 15,
+      loop: false,
+    },
+  ])
+
+  return answer.consoleId
+}
+
+/**
+ * Report exit code policy failures and set the exit code, letting output
+ * that is still being written finish first
+ * @param {Array<string>} failures - Failures from checkExitPolicy
+ */
+function reportPolicyFailures(failures) {
+  if (failures.length === 0) {
+    return
+  }
+  displayError(`Check failed: ${failures.join(", ")}`)
+  process.exitCode = POLICY_FAILURE_EXIT_CODE
+}
+
+/**
+ * Work out cache settings from the command line and the saved config
+ * @param {Object} config - Saved configuration (may contain cacheTtlHours)
+ * @returns {{ttlHours: number, refresh: boolean}} Options for getCached
+ */
+function getCacheOptions(config) {
+  const ttlSetting = options.cacheTtl ?? config.cacheTtlHours
+  const ttlHours =
+    ttlSetting === undefined ? DEFAULT_CACHE_TTL_HOURS : Number(ttlSetting)
+
+  if (!Number.isFinite(ttlHours) || ttlHours < 0) {
+    displayError(`Invalid cache TTL: ${ttlSetting} (expected hours, e.g. 24)`)
+    process.exit(1)
+  }
+
+  return { ttlHours, refresh: Boolean(options.refresh) }
+}
+
+/**
+ * Work out which systems --cross-check compares unmatched ROMs with
+ * @param {boolean|string} value - Option value: true, "all" or comma-separated console IDs
+ * @param {Array} consoles - Available consoles
+ * @returns {Array<number>|null} Console IDs, or null to use each ROM's related systems
+ */
+function parseCrossCheckIds(value, consoles) {
+  if (value === true) {
+    return null
+  }
+  if (value === "all") {
+    return consoles.map((c) => c.id)
+  }
+
+  const ids = value.split(",").map((id) => parseInt(id, 10))
+  const unknown = ids.filter((id) => !consoles.some((c) => c.id === id))
+  if (unknown.length > 0) {
+    displayError(`Unknown system ID for --cross-check: ${unknown.join(", ")}`)
+    process.exit(1)
+  }
+  return ids
+}
+
+/**
+ * Hash a ROM the way another system would, reusing its hash when both
+ * systems hash the same way
+ * @param {Object} result - Comparison result with path, romName, consoleId and hash
+ * @param {number} consoleId - Console ID to hash the ROM for
+ * @returns {Promise<string|null>} Hash, or null if it can't be computed
+ */
+async function hashForConsole(result, consoleId) {
+  const hasher = getHasher(consoleId)
+  if (!hasher) {
+    return null
+  }
+  if (hasher === getHasher(result.consoleId)) {
+    return result.hash
+  }
+
+  // Files extracted from archives are gone by now
+  if (result.romName) {
+    return null
+  }
+  try {
+    return (await hashRom(result.path, consoleId)).hash
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Create a callback that shows API retries on a spinner
+ * @param {Object} spinner - Running ora spinner
+ * @returns {Function} onRetry callback for the api.js fetch functions
+ */
+function reportRetry(spinner) {
+  const text = spinner.text
+  return (error, delay, attempt) => {
+    const seconds = Math.ceil(delay / 1000)
+    spinner.text =
+      `${text} ` +
+      chalk.yellow(`(${error.message}, retry ${attempt} in ${seconds}s)`)
+  }
+}
+
+/**
+ * Describe where loaded data came from, for spinner messages
+ * @param {{fetchedAt: number, fromCache: boolean, offline: boolean}} cached - Result of loadData
+ * @returns {string} Suffix such as " (cached 3 hours ago)", or "" for fresh data
+ */
+function describeSource(cached) {
+  if (cached.offline) {
+    return ` (offline, fetched ${formatAge(cached.fetchedAt)})`
+  }
+  return cached.fromCache ? ` (cached ${formatAge(cached.fetchedAt)})` : ""
+}
+
 // Run the application
 main()
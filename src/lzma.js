@@ -0,0 +1,307 @@
+// Minimal LZMA decoder for the raw (headerless) streams stored in CHD hunks.
+// Follows the reference decoder in the LZMA SDK (LzmaSpec.cpp).
+
+const NUM_BIT_MODEL_TOTAL_BITS = 11
+const BIT_MODEL_TOTAL = 1 << NUM_BIT_MODEL_TOTAL_BITS
+const NUM_MOVE_BITS = 5
+const PROB_INIT = BIT_MODEL_TOTAL / 2
+const TOP_VALUE = 1 << 24
+
+const NUM_STATES = 12
+const NUM_POS_BITS_MAX = 4
+const NUM_LEN_TO_POS_STATES = 4
+const NUM_ALIGN_BITS = 4
+const START_POS_MODEL_INDEX = 4
+const END_POS_MODEL_INDEX = 14
+const NUM_FULL_DISTANCES = 1 << (END_POS_MODEL_INDEX >> 1)
+const MATCH_MIN_LEN = 2
+
+/**
+ * Create an array of bit probabilities in their initial state
+ * @param {number} size - Number of probabilities
+ * @returns {Uint16Array}
+ */
+function createProbs(size) {
+  return new Uint16Array(size).fill(PROB_INIT)
+}
+
+/**
+ * Range decoder reading from a byte buffer
+ */
+class RangeDecoder {
+  /**
+   * @param {Buffer} input - Compressed stream
+   */
+  constructor(input) {
+    if (input[0] !== 0) {
+      throw new Error("Invalid LZMA stream")
+    }
+    this.input = input
+    this.position = 1
+    this.range = 0xffffffff
+    this.code = 0
+    for (let i = 0; i < 4; i++) {
+      this.code = ((this.code << 8) | this.nextByte()) >>> 0
+    }
+  }
+
+  nextByte() {
+    // Reading past the end yields zeros, as the stream has no end marker
+    return this.position < this.input.length ? this.input[this.position++] : 0
+  }
+
+  normalize() {
+    if (this.range < TOP_VALUE) {
+      this.range = (this.range << 8) >>> 0
+      this.code = ((this.code << 8) | this.nextByte()) >>> 0
+    }
+  }
+
+  /**
+   * Decode one bit with an adaptive probability
+   * @param {Uint16Array} probs - Probability array
+   * @param {number} index - Index of the probability to use and update
+   * @returns {number} Decoded bit
+   */
+  decodeBit(probs, index) {
+    const prob = probs[index]
+    const bound = (this.range >>> NUM_BIT_MODEL_TOTAL_BITS) * prob
+    let bit
+    if (this.code < bound) {
+      this.range = bound
+      probs[index] = prob + ((BIT_MODEL_TOTAL - prob) >>> NUM_MOVE_BITS)
+      bit = 0
+    } else {
+      this.range -= bound
+      this.code -= bound
+      probs[index] = prob - (prob >>> NUM_MOVE_BITS)
+      bit = 1
+    }
+    this.normalize()
+    return bit
+  }
+
+  /**
+   * Decode bits with fixed 50% probability
+   * @param {number} numBits - Number of bits to decode
+   * @returns {number} Decoded value
+   */
+  decodeDirectBits(numBits) {
+    let result = 0
+    for (let i = 0; i < numBits; i++) {
+      this.range >>>= 1
+      let bit = 0
+      if (this.code >= this.range) {
+        this.code -= this.range
+        bit = 1
+      }
+      result = result * 2 + bit
+      this.normalize()
+    }
+    return result
+  }
+
+  /**
+   * Decode a value from a bit tree, most significant bit first
+   * @param {Uint16Array} probs - Probability array
+   * @param {number} base - Offset of the tree in the array
+   * @param {number} numBits - Number of bits in the value
+   * @returns {number} Decoded value
+   */
+  decodeTree(probs, base, numBits) {
+    let m = 1
+    for (let i = 0; i < numBits; i++) {
+      m = (m << 1) + this.decodeBit(probs, base + m)
+    }
+    return m - (1 << numBits)
+  }
+
+  /**
+   * Decode a value from a bit tree, least significant bit first
+   * @param {Uint16Array} probs - Probability array
+   * @param {number} base - Offset of the tree in the array
+   * @param {number} numBits - Number of bits in the value
+   * @returns {number} Decoded value
+   */
+  decodeReverseTree(probs, base, numBits) {
+    let m = 1
+    let symbol = 0
+    for (let i = 0; i < numBits; i++) {
+      const bit = this.decodeBit(probs, base + m)
+      m = (m << 1) + bit
+      symbol |= bit << i
+    }
+    return symbol
+  }
+}
+
+/**
+ * Decoder for match lengths
+ */
+class LengthDecoder {
+  constructor() {
+    this.choice = createProbs(2)
+    this.low = createProbs(1 << (NUM_POS_BITS_MAX + 3))
+    this.mid = createProbs(1 << (NUM_POS_BITS_MAX + 3))
+    this.high = createProbs(1 << 8)
+  }
+
+  /**
+   * @param {RangeDecoder} rc - Range decoder
+   * @param {number} posState - Current position state
+   * @returns {number} Match length minus the minimum match length
+   */
+  decode(rc, posState) {
+    if (rc.decodeBit(this.choice, 0) === 0) {
+      return rc.decodeTree(this.low, posState << 3, 3)
+    }
+    if (rc.decodeBit(this.choice, 1) === 0) {
+      return 8 + rc.decodeTree(this.mid, posState << 3, 3)
+    }
+    return 16 + rc.decodeTree(this.high, 0, 8)
+  }
+}
+
+/**
+ * Decompress a raw LZMA stream of known uncompressed size
+ * @param {Buffer} input - Compressed data (without the .lzma file header)
+ * @param {number} outputSize - Size of the decompressed data
+ * @param {Object} props - Stream properties
+ * @param {number} props.lc - Number of literal context bits
+ * @param {number} props.lp - Number of literal position bits
+ * @param {number} props.pb - Number of position bits
+ * @returns {Buffer} Decompressed data
+ */
+export function decompressLzma(input, outputSize, props = {}) {
+  const { lc = 3, lp = 0, pb = 2 } = props
+  const output = Buffer.alloc(outputSize)
+  const rc = new RangeDecoder(input)
+
+  const literalProbs = createProbs(0x300 << (lc + lp))
+  const posSlotProbs = createProbs(NUM_LEN_TO_POS_STATES << 6)
+  const posProbs = createProbs(1 + NUM_FULL_DISTANCES - END_POS_MODEL_INDEX)
+  const alignProbs = createProbs(1 << NUM_ALIGN_BITS)
+  const isMatch = createProbs(NUM_STATES << NUM_POS_BITS_MAX)
+  const isRep = createProbs(NUM_STATES)
+  const isRepG0 = createProbs(NUM_STATES)
+  const isRepG1 = createProbs(NUM_STATES)
+  const isRepG2 = createProbs(NUM_STATES)
+  const isRep0Long = createProbs(NUM_STATES << NUM_POS_BITS_MAX)
+  const lenDecoder = new LengthDecoder()
+  const repLenDecoder = new LengthDecoder()
+
+  const pbMask = (1 << pb) - 1
+  const lpMask = (1 << lp) - 1
+  let state = 0
+  let rep0 = 0
+  let rep1 = 0
+  let rep2 = 0
+  let rep3 = 0
+  let outPos = 0
+
+  const decodeDistance = (len) => {
+    const lenState = Math.min(len, NUM_LEN_TO_POS_STATES - 1)
+    const posSlot = rc.decodeTree(posSlotProbs, lenState << 6, 6)
+    if (posSlot < START_POS_MODEL_INDEX) {
+      return posSlot
+    }
+
+    const numDirectBits = (posSlot >>> 1) - 1
+    let dist = (2 | (posSlot & 1)) * 2 ** numDirectBits
+    if (posSlot < END_POS_MODEL_INDEX) {
+      dist += rc.decodeReverseTree(posProbs, dist - posSlot, numDirectBits)
+    } else {
+      dist += rc.decodeDirectBits(numDirectBits - NUM_ALIGN_BITS) * 16
+      dist += rc.decodeReverseTree(alignProbs, 0, NUM_ALIGN_BITS)
+    }
+    return dist
+  }
+
+  while (outPos < outputSize) {
+    const posState = outPos & pbMask
+
+    if (rc.decodeBit(isMatch, (state << NUM_POS_BITS_MAX) + posState) === 0) {
+      const prevByte = outPos > 0 ? output[outPos - 1] : 0
+      const base = 0x300 * (((outPos & lpMask) << lc) + (prevByte >>> (8 - lc)))
+      let symbol = 1
+
+      // After a match, literals are coded relative to the byte at rep0
+      if (state >= 7) {
+        let matchByte = output[outPos - rep0 - 1]
+        do {
+          const matchBit = (matchByte >>> 7) & 1
+          matchByte <<= 1
+          const bit = rc.decodeBit(
+            literalProbs,
+            base + ((1 + matchBit) << 8) + symbol
+          )
+          symbol = (symbol << 1) | bit
+          if (matchBit !== bit) break
+        } while (symbol < 0x100)
+      }
+      while (symbol < 0x100) {
+        symbol = (symbol << 1) | rc.decodeBit(literalProbs, base + symbol)
+      }
+
+      output[outPos++] = symbol - 0x100
+      state = state < 4 ? 0 : state < 10 ? state - 3 : state - 6
+      continue
+    }
+
+    let len
+    if (rc.decodeBit(isRep, state) !== 0) {
+      if (outPos === 0) {
+        throw new Error("Invalid LZMA stream")
+      }
+      if (rc.decodeBit(isRepG0, state) === 0) {
+        // Single byte repeated from rep0
+        if (
+          rc.decodeBit(isRep0Long, (state << NUM_POS_BITS_MAX) + posState) === 0
+        ) {
+          state = state < 7 ? 9 : 11
+          output[outPos] = output[outPos - rep0 - 1]
+          outPos++
+          continue
+        }
+      } else {
+        let dist
+        if (rc.decodeBit(isRepG1, state) === 0) {
+          dist = rep1
+        } else {
+          if (rc.decodeBit(isRepG2, state) === 0) {
+            dist = rep2
+          } else {
+            dist = rep3
+            rep3 = rep2
+          }
+          rep2 = rep1
+        }
+        rep1 = rep0
+        rep0 = dist
+      }
+      len = repLenDecoder.decode(rc, posState)
+      state = state < 7 ? 8 : 11
+    } else {
+      rep3 = rep2
+      rep2 = rep1
+      rep1 = rep0
+      len = lenDecoder.decode(rc, posState)
+      state = state < 7 ? 7 : 10
+      rep0 = decodeDistance(len)
+      if (rep0 === 0xffffffff) {
+        break // End marker
+      }
+      if (rep0 >= outPos) {
+        throw new Error("Invalid LZMA stream")
+      }
+    }
+
+    len += MATCH_MIN_LEN
+    for (let i = 0; i < len && outPos < outputSize; i++) {
+      output[outPos] = output[outPos - rep0 - 1]
+      outPos++
+    }
+  }
+
+  return output
+}
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+import http from "http"
+import path from "path"
+import { fileURLToPath } from "url"
+import { program } from "commander"
+
+import { answerFromFixtures, loadFixtures } from "./fixtures.js"
+
+// Sample data shipped with the tool
+const DEFAULT_FIXTURES = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "fixtures",
+  "mock-api.json"
+)
+
+program
+  .name("ra-mock-server")
+  .description(
+    "Serve RetroAchievements Web API responses from a fixture file, for testing ra-hash without credentials or network access"
+  )
+  .option("-f, --fixtures <file>", "Fixture file to serve", DEFAULT_FIXTURES)
+  .option("--port <port>", "Port to listen on", "8080")
+  .option("--host <host>", "Address to listen on", "127.0.0.1")
+  .parse(process.argv)
+
+const options = program.opts()
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} response - Response to write
+ * @param {number} status - HTTP status code
+ * @param {*} body - JSON-serializable body
+ */
+function sendJson(response, status, body) {
+  response.writeHead(status, { "Content-Type": "application/json" })
+  response.end(JSON.stringify(body))
+}
+
+/**
+ * Start the server
+ */
+function main() {
+  let fixtures
+  try {
+    fixtures = loadFixtures(options.fixtures)
+  } catch (error) {
+    console.error(`[ERROR] ${error.message}`)
+    process.exit(1)
+  }
+
+  const server = http.createServer((request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host}`)
+    console.error(`[INFO] ${request.method} ${url.pathname}${url.search}`)
+
+    // Same URL layout as https://retroachievements.org/API/API_<Endpoint>.php
+    const match = url.pathname.match(/^\/API\/API_(\w+)\.php$/)
+    if (!match) {
+      return sendJson(response, 404, { message: "Not found" })
+    }
+
+    const params = Object.fromEntries(url.searchParams)
+    if (!params.z || !params.y) {
+      return sendJson(response, 401, { message: "Unauthenticated." })
+    }
+
+    try {
+      sendJson(response, 200, answerFromFixtures(fixtures, match[1], params))
+    } catch (error) {
+      sendJson(response, 404, { message: error.message })
+    }
+  })
+
+  server.listen(parseInt(options.port, 10), options.host, () => {
+    console.error(
+      `[INFO] Mock RetroAchievements API serving ${options.fixtures}`
+    )
+    console.error(
+      `[INFO] Run ra-hash with --api-url http://${options.host}:${options.port}/API`
+    )
+  })
+}
+
+main()
@@ -1,12 +1,19 @@
 import fs from "fs"
 import path from "path"
-import crypto from "crypto"
 import os from "os"
 import { promisify } from "util"
 import { execSync } from "child_process"
 import yauzl from "yauzl"
 import Seven from "node-7z"
 import { createExtractorFromData } from "node-unrar-js"
+import { getHasher, hashRom } from "./hashers.js"
+import {
+  CDI_UNSUPPORTED_MESSAGE,
+  getReferencedTrackFiles,
+  isTrackSheet,
+} from "./disc.js"
+
+export { calculateMD5 } from "./hashers.js"
 
 // Common ROM file extensions by system
 const ROM_EXTENSIONS = new Set([
@@ -80,6 +87,11 @@ const ROM_EXTENSIONS = new Set([
 // Archive file extensions that may contain ROMs
 const ARCHIVE_EXTENSIONS = new Set([".zip", ".7z", ".rar"])
 
+// Image formats that are listed but can't be hashed, and why
+const UNSUPPORTED_EXTENSIONS = {
+  ".cdi": CDI_UNSUPPORTED_MESSAGE,
+}
+
 /**
  * Check if a file is a ROM based on extension
  * @param {string} filename - Filename to check
@@ -90,6 +102,16 @@ function isRomFile(filename) {
   return ROM_EXTENSIONS.has(ext)
 }
 
+/**
+ * Check if ROMs of a console can be hashed (without a console, the whole
+ * file is hashed)
+ * @param {number|null} consoleId - Console ID
+ * @returns {boolean}
+ */
+function isHashable(consoleId) {
+  return consoleId == null || getHasher(consoleId) !== null
+}
+
 /**
  * Check if a file is an archive based on extension
  * @param {string} filename - Filename to check
@@ -109,6 +131,21 @@ function isRomOrArchiveFile(filename) {
   return isRomFile(filename) || isArchiveFile(filename)
 }
 
+/**
+ * Drop track files that a CUE or GDI sheet in the same list refers to, since
+ * they are hashed as part of their disc rather than on their own
+ * @param {Array<Object>} files - File info objects
+ * @param {Function} getPath - Returns the absolute path of a file info object
+ * @returns {Array<Object>} Files that are not tracks of a CUE or GDI sheet
+ */
+function excludeSheetTrackFiles(files, getPath) {
+  const sheetPaths = files.map(getPath).filter(isTrackSheet)
+  if (sheetPaths.length === 0) return files
+
+  const trackFiles = getReferencedTrackFiles(sheetPaths)
+  return files.filter((f) => !trackFiles.has(getPath(f)))
+}
+
 /**
  * Find 7zip executable in PATH or common locations
  * @returns {Promise<string|null>} Path to 7zip executable or null if not found
@@ -304,179 +341,6 @@ function findRomAndArchiveFiles(directory) {
   return results
 }
 
-/**
- * Calculate MD5 hash of a file using fs.promises for better performance on large files
- * @param {string} filePath - Path to the file
- * @param {Object} options - Options for hashing
- * @param {Function} options.onProgress - Optional callback for progress updates
- * @returns {Promise<string>} MD5 hash in lowercase hex
- */
-export async function calculateMD5(filePath, options = {}) {
-  const startTime = Date.now()
-  const hash = crypto.createHash("md5")
-  let bytesRead = 0
-
-  // Get file size for progress tracking
-  let fileSize = 0
-  let stats
-  try {
-    stats = await fs.promises.stat(filePath)
-    fileSize = stats.size
-  } catch (err) {
-    console.error(
-      `[ERROR] Failed to get file stats for ${filePath}:`,
-      err.message
-    )
-    throw new Error(`Cannot read file stats: ${err.message}`)
-  }
-
-  // Use optimized buffer sizes for better performance on large files
-  // For very large files (>100MB), use fs.promises.open with manual reading
-  // which is faster than streams due to less overhead
-  const useDirectRead = fileSize > 100 * 1024 * 1024 // 100MB threshold
-
-  // Determine optimal buffer size based on file size
-  // Larger buffers = fewer system calls = better performance for large files
-  const bufferSize =
-    fileSize > 4 * 1024 * 1024 * 1024
-      ? 16 * 1024 * 1024 // 16MB for files > 4GB (dual-layer DVD .iso files)
-      : fileSize > 2 * 1024 * 1024 * 1024
-      ? 12 * 1024 * 1024 // 12MB for files > 2GB
-      : fileSize > 1024 * 1024 * 1024
-      ? 8 * 1024 * 1024 // 8MB for files > 1GB (DVD .iso files, large .rvz files)
-      : fileSize > 500 * 1024 * 1024
-      ? 4 * 1024 * 1024 // 4MB for files > 500MB
-      : fileSize > 100 * 1024 * 1024
-      ? 2 * 1024 * 1024 // 2MB for files > 100MB
-      : fileSize > 10 * 1024 * 1024
-      ? 1024 * 1024 // 1MB for files > 10MB
-      : 64 * 1024 // 64KB for smaller files
-
-  // Progress reporting throttling for large files (report every 5% or 100MB, whichever is smaller)
-  const progressInterval = Math.min(fileSize * 0.05, 100 * 1024 * 1024)
-  let lastProgressReport = 0
-
-  if (useDirectRead) {
-    // Use fs.promises.open for better performance on large files
-    let fileHandle
-    try {
-      fileHandle = await fs.promises.open(filePath, "r")
-      const buffer = Buffer.allocUnsafe(bufferSize)
-
-      while (bytesRead < fileSize) {
-        const bytesToRead = Math.min(bufferSize, fileSize - bytesRead)
-        const { bytesRead: chunkSize } = await fileHandle.read(
-          buffer,
-          0,
-          bytesToRead,
-          bytesRead
-        )
-
-        if (chunkSize === 0) {
-          break // EOF
-        }
-
-        hash.update(buffer.subarray(0, chunkSize))
-        bytesRead += chunkSize
-
-        // Throttled progress reporting for large files
-        if (options.onProgress && fileSize > 0) {
-          const progressSinceLastReport = bytesRead - lastProgressReport
-          if (
-            progressSinceLastReport >= progressInterval ||
-            bytesRead === fileSize
-          ) {
-            const progress = (bytesRead / fileSize) * 100
-            options.onProgress(progress, bytesRead, fileSize)
-            lastProgressReport = bytesRead
-          }
-        }
-      }
-
-      await fileHandle.close()
-    } catch (err) {
-      if (fileHandle) {
-        await fileHandle.close().catch(() => {})
-      }
-      console.error(`[ERROR] Error while hashing ${filePath}:`, err.message)
-      throw new Error(`Failed to hash file: ${err.message}`)
-    }
-  } else {
-    // Use streams for smaller files (less overhead than manual reading)
-    return new Promise((resolve, reject) => {
-      const stream = fs.createReadStream(filePath, {
-        highWaterMark: bufferSize,
-      })
-
-      // Set up timeout (30 minutes for very large files)
-      const timeout = setTimeout(() => {
-        stream.destroy()
-        reject(
-          new Error(`Timeout: File hashing exceeded 30 minutes for ${filePath}`)
-        )
-      }, 30 * 60 * 1000)
-
-      stream.on("data", (data) => {
-        bytesRead += data.length
-        hash.update(data)
-
-        // Report progress if callback provided
-        if (options.onProgress && fileSize > 0) {
-          const progress = (bytesRead / fileSize) * 100
-          options.onProgress(progress, bytesRead, fileSize)
-        }
-      })
-
-      stream.on("end", () => {
-        clearTimeout(timeout)
-        const elapsed = ((Date.now() - startTime) / 1000).toFixed(2)
-        const hashValue = hash.digest("hex").toLowerCase()
-
-        if (process.env.DEBUG) {
-          console.log(
-            `[DEBUG] Hashed ${path.basename(filePath)} (${(
-              fileSize /
-              1024 /
-              1024
-            ).toFixed(2)} MB) in ${elapsed}s`
-          )
-        }
-
-        resolve(hashValue)
-      })
-
-      stream.on("error", (err) => {
-        clearTimeout(timeout)
-        console.error(
-          `[ERROR] Stream error while hashing ${filePath}:`,
-          err.message
-        )
-        reject(
-          new Error(
-            `Failed to read file stream: ${err.message} (code: ${err.code})`
-          )
-        )
-      })
-    })
-  }
-
-  // For direct read path, calculate and return hash
-  const elapsed = ((Date.now() - startTime) / 1000).toFixed(2)
-  const hashValue = hash.digest("hex").toLowerCase()
-
-  if (process.env.DEBUG) {
-    console.log(
-      `[DEBUG] Hashed ${path.basename(filePath)} (${(
-        fileSize /
-        1024 /
-        1024
-      ).toFixed(2)} MB) in ${elapsed}s`
-    )
-  }
-
-  return hashValue
-}
-
 /**
  * Extract ROM files from a ZIP archive
  * @param {string} archivePath - Path to the ZIP archive
@@ -754,9 +618,13 @@ async function extractROMsFromArchive(archivePath) {
  * Scan a directory for ROM files
  * @param {string} directory - Directory path to scan
  * @param {Object} options - Options for scanning
+ * @param {number} options.consoleId - Console ID used to pick the hashing method
+ * @param {Function} options.resolveConsoleId - Optional async callback (filePath, relativePath) returning each file's console ID, for directories with mixed systems, or {skip: reason} to leave the file out
  * @param {Function} options.onFileStart - Optional callback when starting to hash a file
  * @param {Function} options.onFileComplete - Optional callback when finished hashing a file
- * @returns {Promise<Array>} Array of ROM info objects with filename, path, and hash
+ * @param {Function} options.getConsoleName - Optional callback returning a console's name, for messages
+ * @param {Function} options.onSkip - Optional callback (reason, displayNames) for files left out because they can't be hashed, once per reason
+ * @returns {Promise<Array>} Array of ROM info objects with filename, path, hash, and hashMethod
  */
 export async function scanDirectory(directory, options = {}) {
   const absolutePath = path.resolve(directory)
@@ -786,18 +654,105 @@ export async function scanDirectory(directory, options = {}) {
 
   // Recursively find all ROM and archive files
   const foundFiles = findRomAndArchiveFiles(absolutePath)
-  const romFiles = foundFiles.filter((f) => isRomFile(f.filename))
-  const archiveFiles = foundFiles.filter((f) => isArchiveFile(f.filename))
+
+  const results = []
+  let processedCount = 0
+  const tempDirsToCleanup = []
+
+  // Files that can't be hashed are left out of the results and reported
+  // once per reason, rather than as an error each
+  const skipped = new Map()
+  const describeUnhashable = (consoleId) =>
+    `${
+      options.getConsoleName?.(consoleId) || `Console ID ${consoleId}`
+    } games can't be hashed yet`
+  const skipFile = (displayName, reason) => {
+    console.error(`[INFO] Skipping ${displayName}: ${reason}`)
+    if (!skipped.has(reason)) {
+      skipped.set(reason, [])
+    }
+    skipped.get(reason).push(displayName)
+  }
+
+  // Pick each file's system from the resolver in mixed scans, or use the
+  // selected console for everything. Files that are skipped instead come
+  // back with the reason
+  const resolveFile = async (filePath, relativePath) => {
+    let consoleId = options.consoleId
+    if (options.resolveConsoleId) {
+      consoleId = await options.resolveConsoleId(filePath, relativePath)
+      if (consoleId?.skip) {
+        return { skipReason: consoleId.skip }
+      }
+      if (consoleId == null) {
+        throw new Error("Could not detect the system for this file")
+      }
+    }
+    if (!isHashable(consoleId)) {
+      return { skipReason: describeUnhashable(consoleId) }
+    }
+    return { consoleId }
+  }
+
+  // Systems that identify a game by its ROM set (Arcade) hash each archive
+  // as a whole, so nothing is extracted. An archive whose system can't be
+  // worked out is reported as an error on its own
+  const allArchives = foundFiles.filter((f) => isArchiveFile(f.filename))
+  const romSetArchives = []
+  const unresolvedArchives = []
+  for (const fileInfo of allArchives) {
+    try {
+      const consoleId = options.resolveConsoleId
+        ? await options.resolveConsoleId(
+            fileInfo.filePath,
+            fileInfo.relativePath
+          )
+        : options.consoleId
+      if (getHasher(consoleId)?.hashesArchives) {
+        romSetArchives.push(fileInfo)
+      }
+    } catch (error) {
+      console.error(
+        `[ERROR] Failed to detect the system of ${fileInfo.relativePath}:`,
+        error.message
+      )
+      unresolvedArchives.push(fileInfo)
+      results.push({
+        filename: `${fileInfo.relativePath} (archive)`,
+        path: fileInfo.filePath,
+        hash: null,
+        error: error.message,
+      })
+    }
+  }
+
+  const skipLooseRoms =
+    !options.resolveConsoleId &&
+    getHasher(options.consoleId)?.hashesArchives === true
+  if (skipLooseRoms) {
+    console.error(
+      `[INFO] Treating archives as ROM sets, loose ROM files are skipped`
+    )
+  }
+
+  const romFiles = [
+    ...(skipLooseRoms
+      ? []
+      : excludeSheetTrackFiles(
+          foundFiles.filter((f) => isRomFile(f.filename)),
+          (f) => f.filePath
+        )),
+    ...romSetArchives,
+  ]
+  const archiveFiles = allArchives.filter(
+    (f) => !romSetArchives.includes(f) && !unresolvedArchives.includes(f)
+  )
   const totalFiles = romFiles.length + archiveFiles.length
 
   console.error(
     `[INFO] Found ${romFiles.length} ROM file(s) and ${archiveFiles.length} archive file(s) to process`
   )
 
-  const results = []
-  let processedCount = 0
-  const tempDirsToCleanup = []
-
   // Process regular ROM files
   for (const fileInfo of romFiles) {
     processedCount++
@@ -809,6 +764,13 @@ export async function scanDirectory(directory, options = {}) {
       `[INFO] [${processedCount}/${totalFiles}] Processing: ${displayName}`
     )
 
+    const unsupported =
+      UNSUPPORTED_EXTENSIONS[path.extname(filename).toLowerCase()]
+    if (unsupported) {
+      skipFile(displayName, unsupported)
+      continue
+    }
+
     try {
       let fileStats
       try {
@@ -836,8 +798,13 @@ export async function scanDirectory(directory, options = {}) {
         options.onFileStart(displayName, fileStats.size)
       }
 
+      const { consoleId, skipReason } = await resolveFile(filePath, displayName)
+      if (skipReason) {
+        skipFile(displayName, skipReason)
+        continue
+      }
       const hashStartTime = Date.now()
-      const hash = await calculateMD5(filePath, {
+      const hashInfo = await hashRom(filePath, consoleId, {
         onProgress: (progress, bytesRead, totalBytes) => {
           if (process.env.DEBUG && fileStats.size > 10 * 1024 * 1024) {
             // Only log progress for files larger than 10MB
@@ -849,9 +816,12 @@ export async function scanDirectory(directory, options = {}) {
           }
         },
       })
+      const { hash, method, header } = hashInfo
 
       const hashTime = ((Date.now() - hashStartTime) / 1000).toFixed(2)
-      console.error(`[INFO] ✓ Hashed ${displayName} in ${hashTime}s`)
+      console.error(
+        `[INFO] ✓ Hashed ${displayName} (${method}) in ${hashTime}s`
+      )
 
       if (options.onFileComplete) {
         options.onFileComplete(displayName, hash)
@@ -861,7 +831,10 @@ export async function scanDirectory(directory, options = {}) {
         filename: displayName,
         path: filePath,
         hash,
+        hashMethod: method,
+        header: header || null,
         size: fileStats.size,
+        consoleId,
       })
     } catch (error) {
       console.error(`[ERROR] Failed to process ${displayName}:`, error.message)
@@ -920,7 +893,10 @@ export async function scanDirectory(directory, options = {}) {
       }
 
       console.error(`[INFO] Extracting ROMs from archive...`)
-      const extractedROMs = await extractROMsFromArchive(archivePath)
+      const extractedROMs = excludeSheetTrackFiles(
+        await extractROMsFromArchive(archivePath),
+        (rom) => rom.path
+      )
 
       if (extractedROMs.length === 0) {
         console.error(`[WARN] No ROM files found in archive: ${displayName}`)
@@ -947,6 +923,13 @@ export async function scanDirectory(directory, options = {}) {
         const romDisplayName = `${displayName}/${rom.name}`
         console.error(`[INFO] Processing: ${romDisplayName}`)
 
+        const unsupported =
+          UNSUPPORTED_EXTENSIONS[path.extname(rom.name).toLowerCase()]
+        if (unsupported) {
+          skipFile(romDisplayName, unsupported)
+          continue
+        }
+
         try {
           let romStats
           try {
@@ -971,8 +954,16 @@ export async function scanDirectory(directory, options = {}) {
             options.onFileStart(romDisplayName, romStats.size)
           }
 
+          const { consoleId, skipReason } = await resolveFile(
+            rom.path,
+            romDisplayName
+          )
+          if (skipReason) {
+            skipFile(romDisplayName, skipReason)
+            continue
+          }
           const hashStartTime = Date.now()
-          const hash = await calculateMD5(rom.path, {
+          const hashInfo = await hashRom(rom.path, consoleId, {
             onProgress: (progress, bytesRead, totalBytes) => {
               if (process.env.DEBUG && romStats.size > 10 * 1024 * 1024) {
                 const progressPercent = progress.toFixed(1)
@@ -983,9 +974,12 @@ export async function scanDirectory(directory, options = {}) {
               }
             },
           })
+          const { hash, method, header } = hashInfo
 
           const hashTime = ((Date.now() - hashStartTime) / 1000).toFixed(2)
-          console.error(`[INFO] ✓ Hashed ${romDisplayName} in ${hashTime}s`)
+          console.error(
+            `[INFO] ✓ Hashed ${romDisplayName} (${method}) in ${hashTime}s`
+          )
 
           if (options.onFileComplete) {
             options.onFileComplete(romDisplayName, hash)
@@ -995,7 +989,10 @@ export async function scanDirectory(directory, options = {}) {
             filename: romDisplayName,
             path: archivePath,
             hash,
+            hashMethod: method,
+            header: header || null,
             size: romStats.size,
+            consoleId,
             archiveName: displayName,
             romName: rom.name,
           })
@@ -1047,6 +1044,13 @@ export async function scanDirectory(directory, options = {}) {
     }
   }
 
+  for (const [reason, displayNames] of skipped) {
+    console.error(`[WARN] Skipped ${displayNames.length} file(s): ${reason}`)
+    if (options.onSkip) {
+      options.onSkip(reason, displayNames)
+    }
+  }
+
   console.error(
     `[INFO] Completed scanning: ${results.length} file(s) processed`
   )
@@ -1057,9 +1061,11 @@ export async function scanDirectory(directory, options = {}) {
  * Get list of ROM files without hashing (for preview)
  * Includes ROMs from archives
  * @param {string} directory - Directory path to scan
+ * @param {Object} options - Options for listing
+ * @param {number} options.consoleId - Optional console ID; systems that hash archives as ROM sets list each archive once
  * @returns {Promise<Array>} Array of ROM filenames (includes archive/rom format)
  */
-export async function listRomFiles(directory) {
+export async function listRomFiles(directory, options = {}) {
   const absolutePath = path.resolve(directory)
 
   if (!fs.existsSync(absolutePath)) {
@@ -1068,8 +1074,18 @@ export async function listRomFiles(directory) {
 
   // Recursively find all ROM and archive files
   const foundFiles = findRomAndArchiveFiles(absolutePath)
-  const romFiles = foundFiles.filter((f) => isRomFile(f.filename))
   const archiveFiles = foundFiles.filter((f) => isArchiveFile(f.filename))
+
+  // ROM sets are hashed by name, whatever their members are called, and
+  // scanDirectory skips loose ROMs for these systems
+  if (getHasher(options.consoleId)?.hashesArchives) {
+    return archiveFiles.map((f) => f.relativePath)
+  }
+
+  const romFiles = excludeSheetTrackFiles(
+    foundFiles.filter((f) => isRomFile(f.filename)),
+    (f) => f.filePath
+  )
   const result = romFiles.map((f) => f.relativePath)
 
   // List ROMs from archives (without extracting)
@@ -0,0 +1,133 @@
+import path from "path"
+
+/**
+ * Get the game title part of a ROM file name (the name without folders and
+ * extension, tags included)
+ * @param {string} filename - ROM file name or relative path
+ * @returns {string} Title, e.g. "Super Metroid (USA)"
+ */
+export function titleFromFilename(filename) {
+  return path.basename(filename, path.extname(filename))
+}
+
+/**
+ * Reduce a game title to a form that compares equal across naming styles:
+ * no region/revision tags such as "(USA)", "(Rev 1)" or "[!]", lowercase and
+ * without punctuation
+ * @param {string} title - Game title, or a file name from titleFromFilename
+ * @returns {string} Normalized title, e.g. "legend of zelda the a link to the past"
+ */
+export function normalizeTitle(title) {
+  return title
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, " ")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+}
+
+/**
+ * Normalize a title for fuzzy comparison, also dropping articles that naming
+ * styles place differently ("The Legend of Zelda" vs. "Legend of Zelda, The")
+ * @param {string} title - Game title or file title
+ * @returns {string}
+ */
+function comparableTitle(title) {
+  return normalizeTitle(title)
+    .replace(/\b(the|a|an)\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+}
+
+/**
+ * Count the character pairs in a string
+ * @param {string} text - Normalized title
+ * @returns {Map<string, number>} Pair counts
+ */
+function countBigrams(text) {
+  const bigrams = new Map()
+  const padded = ` ${text} `
+  for (let i = 0; i < padded.length - 1; i++) {
+    const bigram = padded.slice(i, i + 2)
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1)
+  }
+  return bigrams
+}
+
+/**
+ * Score how alike two strings are (Sørensen–Dice coefficient of their
+ * character pairs)
+ * @param {string} a - First comparable title
+ * @param {string} b - Second comparable title
+ * @returns {number} Similarity from 0 to 1
+ */
+function diceCoefficient(a, b) {
+  // Titles made only of tags or punctuation have nothing to compare
+  if (!a || !b) {
+    return 0
+  }
+
+  const first = countBigrams(a)
+  const second = countBigrams(b)
+
+  let shared = 0
+  let total = 0
+  for (const [bigram, count] of first) {
+    shared += Math.min(count, second.get(bigram) || 0)
+    total += count
+  }
+  for (const count of second.values()) {
+    total += count
+  }
+  return total > 0 ? (2 * shared) / total : 0
+}
+
+/**
+ * Get a title with and without its subtitle ("Game 2: Subtitle", "Game 2 - Subtitle")
+ * @param {string} title - Game title or file title
+ * @returns {Array<string>} Comparable forms of the title
+ */
+function titleVariants(title) {
+  const variants = [comparableTitle(title)]
+  const mainTitle = title.split(/:| - /)[0]
+  if (mainTitle !== title) {
+    variants.push(comparableTitle(mainTitle))
+  }
+  return variants
+}
+
+/**
+ * Score how alike two titles are, ignoring tags, case, punctuation, articles
+ * and subtitles missing from one of them
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} Similarity from 0 (nothing in common) to 1 (same title)
+ */
+export function titleSimilarity(a, b) {
+  let best = 0
+  for (const first of titleVariants(a)) {
+    for (const second of titleVariants(b)) {
+      best = Math.max(best, diceCoefficient(first, second))
+    }
+  }
+  return best
+}
+
+/**
+ * Find the games whose titles are closest to a ROM's file name
+ * @param {string} fileTitle - Title from titleFromFilename
+ * @param {Array} games - Game objects with id and title
+ * @param {Object} options - Suggestion options
+ * @param {number} options.limit - Maximum number of suggestions
+ * @param {number} options.minScore - Lowest similarity worth suggesting
+ * @returns {Array} Best games first, each with its similarity as score
+ */
+export function suggestGames(fileTitle, games, options = {}) {
+  const { limit = 3, minScore = 0.6 } = options
+
+  return games
+    .map((game) => ({ ...game, score: titleSimilarity(fileTitle, game.title) }))
+    .filter((game) => game.score >= minScore)
+    .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+    .slice(0, limit)
+}
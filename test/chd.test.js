@@ -0,0 +1,90 @@
+import assert from "node:assert/strict"
+import crypto from "crypto"
+import path from "path"
+import { fileURLToPath } from "url"
+import { describe, it } from "node:test"
+import { openChd, openChdTrack, readChdTracks } from "../src/chd.js"
+import { CONSOLE, hashRom } from "../src/hashers.js"
+
+const FIXTURES = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../fixtures/chd"
+)
+
+// sega-cd.chd was made with `chdman createcd -c cdlz,cdfl` (MAME 0.289) from
+// a two-track cue/bin: 48 Mode 1 sectors with a Sega CD header and valid
+// EDC/ECC, then 64 sectors of audio (a sine sweep ending in silence). chdman
+// stored 6 hunks as CD LZMA, 7 as CD FLAC and 1 as a copy of another hunk.
+// The expected hashes were computed from the original bin file.
+const SEGA_CD_CHD = path.join(FIXTURES, "sega-cd.chd")
+const SEGA_CD_HASH = "7c012d4d1f89603e58c0c06f0c92cf86"
+const DATA_TRACK_MD5 = "47898b1d35cbd68eaadbb56bf762d296"
+// CHDs store audio big-endian, so this is the byte-swapped audio of the bin
+const AUDIO_TRACK_MD5 = "9bf2d4af57f926e1eca1e24d856288c1"
+
+/**
+ * Hash sectors of a CHD track
+ * @param {Object} trackInfo - Track from readChdTracks
+ * @param {number} sectorCount - Number of sectors to read
+ * @param {number} length - Bytes to read from each sector
+ * @returns {Promise<string>} MD5 hash in lowercase hex
+ */
+async function hashTrack(trackInfo, sectorCount, length) {
+  const track = await openChdTrack(trackInfo)
+  try {
+    const hash = crypto.createHash("md5")
+    for (let sector = 0; sector < sectorCount; sector++) {
+      hash.update(await track.readSector(sector, length))
+    }
+    return hash.digest("hex")
+  } finally {
+    await track.close()
+  }
+}
+
+describe("CHD reader", () => {
+  it("lists the tracks of a CD image", async () => {
+    const tracks = await readChdTracks(SEGA_CD_CHD)
+    assert.deepEqual(
+      tracks.map(({ number, type, firstSector, chdFrame }) => ({
+        number,
+        type,
+        firstSector,
+        chdFrame,
+      })),
+      [
+        { number: 1, type: "MODE1_RAW", firstSector: 0, chdFrame: 0 },
+        { number: 2, type: "AUDIO", firstSector: 48, chdFrame: 48 },
+      ]
+    )
+  })
+
+  it("decodes LZMA-compressed data sectors", async () => {
+    const [dataTrack] = await readChdTracks(SEGA_CD_CHD)
+    assert.equal(await hashTrack(dataTrack, 48, 2048), DATA_TRACK_MD5)
+  })
+
+  it("decodes FLAC-compressed audio sectors", async () => {
+    const [, audioTrack] = await readChdTracks(SEGA_CD_CHD)
+    assert.equal(await hashTrack(audioTrack, 64, 2352), AUDIO_TRACK_MD5)
+  })
+
+  it("produces the RetroAchievements hash of the disc", async () => {
+    const result = await hashRom(SEGA_CD_CHD, CONSOLE.SEGA_CD)
+    assert.equal(result.hash, SEGA_CD_HASH)
+  })
+
+  it("rejects CHDs that depend on a parent", async () => {
+    await assert.rejects(
+      openChd(path.join(FIXTURES, "sega-cd-child.chd")),
+      /parent CHD/
+    )
+  })
+
+  it("rejects DVD images", async () => {
+    await assert.rejects(
+      readChdTracks(path.join(FIXTURES, "dvd.chd")),
+      /DVD CHD images are not supported/
+    )
+  })
+})
@@ -0,0 +1,181 @@
+import assert from "node:assert/strict"
+import { execFile } from "child_process"
+import crypto from "crypto"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { fileURLToPath } from "url"
+import { after, before, describe, it } from "node:test"
+import {
+  POLICY_FAILURE_EXIT_CODE,
+  checkExitPolicy,
+  parseExitPolicy,
+} from "../src/exit-policy.js"
+
+const CLI = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../src/index.js"
+)
+
+/**
+ * Build results with the given number of ROMs in each state
+ * @param {{matched?: number, unmatched?: number, errors?: number}} counts - ROMs per state
+ * @returns {Array} Result objects
+ */
+function makeResults({ matched = 0, unmatched = 0, errors = 0 }) {
+  const results = []
+  for (let i = 0; i < matched; i++) {
+    results.push({ filename: `m${i}`, match: { id: i }, error: null })
+  }
+  for (let i = 0; i < unmatched; i++) {
+    results.push({ filename: `u${i}`, match: null, error: null })
+  }
+  for (let i = 0; i < errors; i++) {
+    results.push({ filename: `e${i}`, match: null, error: "Unreadable" })
+  }
+  return results
+}
+
+describe("Exit code policy", () => {
+  it("parses conditions and match rates", () => {
+    assert.deepEqual(parseExitPolicy({}), { failOn: [], minMatchRate: null })
+    assert.deepEqual(
+      parseExitPolicy({ failOn: "Unmatched, errors", minMatchRate: "90%" }),
+      { failOn: ["unmatched", "errors"], minMatchRate: 90 }
+    )
+    assert.equal(parseExitPolicy({ minMatchRate: "0" }).minMatchRate, 0)
+  })
+
+  it("rejects unknown conditions and out of range match rates", () => {
+    assert.throws(
+      () => parseExitPolicy({ failOn: "unmatched,warnings" }),
+      /Unknown --fail-on condition: warnings/
+    )
+    for (const minMatchRate of ["101", "-1", "ninety", ""]) {
+      assert.throws(
+        () => parseExitPolicy({ minMatchRate }),
+        /Invalid --min-match-rate/,
+        minMatchRate
+      )
+    }
+  })
+
+  it("passes a match rate exactly at the threshold", () => {
+    const results = makeResults({ matched: 3, unmatched: 1 })
+    assert.deepEqual(
+      checkExitPolicy(parseExitPolicy({ minMatchRate: 75 }), results),
+      []
+    )
+    assert.deepEqual(
+      checkExitPolicy(parseExitPolicy({ minMatchRate: 75.1 }), results),
+      ["match rate 75.0% is below 75.1%"]
+    )
+  })
+
+  it("fails on the conditions asked for only", () => {
+    const results = makeResults({ matched: 1, unmatched: 2, errors: 1 })
+    assert.deepEqual(checkExitPolicy(parseExitPolicy({}), results), [])
+    assert.deepEqual(
+      checkExitPolicy(parseExitPolicy({ failOn: "errors" }), results),
+      ["1 ROM(s) could not be hashed"]
+    )
+    assert.deepEqual(
+      checkExitPolicy(
+        parseExitPolicy({ failOn: "unmatched,errors", minMatchRate: 50 }),
+        results
+      ),
+      [
+        "2 ROM(s) unmatched",
+        "1 ROM(s) could not be hashed",
+        "match rate 25.0% is below 50%",
+      ]
+    )
+  })
+})
+
+describe("Exit code policy from the command line", () => {
+  let tempDir
+  let romDir
+  let fixturesPath
+
+  before(async () => {
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "ra-hash-test-"))
+    romDir = path.join(tempDir, "roms")
+    await fs.promises.mkdir(romDir)
+
+    // One Game Boy ROM RetroAchievements knows and one it doesn't
+    const known = Buffer.from("known game boy rom")
+    await fs.promises.writeFile(path.join(romDir, "Known.gb"), known)
+    await fs.promises.writeFile(path.join(romDir, "Unknown.gb"), "homebrew")
+
+    fixturesPath = path.join(tempDir, "fixtures.json")
+    await fs.promises.writeFile(
+      fixturesPath,
+      JSON.stringify({
+        GetConsoleIDs: [{ ID: 4, Name: "Game Boy" }],
+        GetGameList: {
+          4: [
+            {
+              ID: 4001,
+              Title: "Known Game",
+              ConsoleID: 4,
+              NumAchievements: 10,
+              Points: 100,
+              Hashes: [crypto.createHash("md5").update(known).digest("hex")],
+            },
+          ],
+        },
+      })
+    )
+  })
+
+  after(async () => {
+    await fs.promises.rm(tempDir, { recursive: true, force: true })
+  })
+
+  /**
+   * Run a scan of the test ROMs with extra options
+   * @param {Array<string>} args - Extra command line arguments
+   * @returns {Promise<{code: number, report: Object}>} Exit code and JSON report
+   */
+  function runScan(args) {
+    return new Promise((resolve) => {
+      execFile(
+        process.execPath,
+        [
+          CLI,
+          "--non-interactive",
+          "--fixtures",
+          fixturesPath,
+          "-p",
+          romDir,
+          "-s",
+          "4",
+          "--format",
+          "json",
+          ...args,
+        ],
+        { timeout: 60 * 1000 },
+        (error, stdout) => {
+          resolve({ code: error ? error.code : 0, report: JSON.parse(stdout) })
+        }
+      )
+    })
+  }
+
+  it(`exits with ${POLICY_FAILURE_EXIT_CODE} when the match rate is too low`, async () => {
+    const { code, report } = await runScan(["--min-match-rate", "60"])
+    assert.equal(report.summary.matchRate, 50)
+    assert.equal(code, POLICY_FAILURE_EXIT_CODE)
+  })
+
+  it("exits with 0 when the match rate is met", async () => {
+    const { code } = await runScan(["--min-match-rate", "50"])
+    assert.equal(code, 0)
+  })
+
+  it(`exits with ${POLICY_FAILURE_EXIT_CODE} on unmatched ROMs with --fail-on unmatched`, async () => {
+    const { code } = await runScan(["--fail-on", "unmatched"])
+    assert.equal(code, POLICY_FAILURE_EXIT_CODE)
+  })
+})
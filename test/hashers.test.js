@@ -0,0 +1,267 @@
+import assert from "node:assert/strict"
+import crypto from "crypto"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { after, before, describe, it } from "node:test"
+import { CONSOLE, hashRom } from "../src/hashers.js"
+
+let tempDir
+
+before(async () => {
+  tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "ra-hash-test-"))
+})
+
+after(async () => {
+  await fs.promises.rm(tempDir, { recursive: true, force: true })
+})
+
+/**
+ * Write a synthetic ROM to the temporary directory
+ * @param {string} name - File name
+ * @param {...Buffer} parts - Contents, concatenated
+ * @returns {Promise<string>} Path to the file
+ */
+async function writeRom(name, ...parts) {
+  const filePath = path.join(tempDir, name)
+  await fs.promises.writeFile(filePath, Buffer.concat(parts))
+  return filePath
+}
+
+/**
+ * Build a buffer of deterministic, non-repeating bytes
+ * @param {number} length - Number of bytes
+ * @param {number} [seed] - Value mixed into every byte
+ * @returns {Buffer} Bytes
+ */
+function pattern(length, seed = 0) {
+  const buffer = Buffer.alloc(length)
+  for (let i = 0; i < length; i++) {
+    buffer[i] = (i * 7 + (i >> 8) + seed) & 0xff
+  }
+  return buffer
+}
+
+/**
+ * MD5 of one or more buffers
+ * @param {...Buffer} parts - Data to hash
+ * @returns {string} MD5 hash in lowercase hex
+ */
+function md5(...parts) {
+  const hash = crypto.createHash("md5")
+  for (const part of parts) hash.update(part)
+  return hash.digest("hex")
+}
+
+/**
+ * Build a 16-byte header that starts with the given magic
+ * @param {string} magic - Magic bytes
+ * @returns {Buffer} Header
+ */
+function header16(magic) {
+  const header = Buffer.alloc(16, 0xff)
+  header.write(magic, "latin1")
+  return header
+}
+
+describe("NES hasher", () => {
+  const prg = pattern(0x4000 + 0x2000)
+
+  it("skips the iNES header", async () => {
+    const filePath = await writeRom("game.nes", header16("NES\x1a"), prg)
+    const result = await hashRom(filePath, CONSOLE.NES)
+    assert.equal(result.hash, md5(prg))
+    assert.equal(result.header, "iNES")
+  })
+
+  it("skips the fwNES header of Famicom Disk System images", async () => {
+    const disk = pattern(65500, 3)
+    const filePath = await writeRom("game.fds", header16("FDS\x1a"), disk)
+    const result = await hashRom(filePath, CONSOLE.NES)
+    assert.equal(result.hash, md5(disk))
+    assert.equal(result.header, "fwNES")
+  })
+
+  it("hashes headerless dumps whole", async () => {
+    const filePath = await writeRom("headerless.nes", prg)
+    const result = await hashRom(filePath, CONSOLE.NES)
+    assert.equal(result.hash, md5(prg))
+    assert.equal(result.header, null)
+  })
+})
+
+describe("SNES hasher", () => {
+  const rom = pattern(0x8000 * 3)
+
+  it("skips a 512-byte copier header", async () => {
+    const filePath = await writeRom("copier.smc", pattern(512, 9), rom)
+    const result = await hashRom(filePath, CONSOLE.SNES)
+    assert.equal(result.hash, md5(rom))
+    assert.equal(result.header, "copier")
+  })
+
+  it("hashes dumps that are a multiple of 1KB whole", async () => {
+    const filePath = await writeRom("plain.sfc", rom)
+    const result = await hashRom(filePath, CONSOLE.SNES)
+    assert.equal(result.hash, md5(rom))
+    assert.equal(result.header, null)
+  })
+
+  it("only treats a 512-byte remainder as a header", async () => {
+    const odd = pattern(0x8000 + 256)
+    const filePath = await writeRom("odd.sfc", odd)
+    const result = await hashRom(filePath, CONSOLE.SNES)
+    assert.equal(result.hash, md5(odd))
+    assert.equal(result.header, null)
+  })
+})
+
+describe("N64 hasher", () => {
+  // A big-endian ROM with the .z64 magic and a length that isn't a multiple
+  // of 4, so the converted dumps end in a partial word
+  const z64 = Buffer.concat([
+    Buffer.from([0x80, 0x37, 0x12, 0x40]),
+    pattern(0x20000 + 3),
+  ])
+
+  /**
+   * Convert the ROM to another byte order, leaving a partial word at the
+   * end as it is
+   * @param {number} wordSize - 2 for .v64, 4 for .n64
+   * @returns {Buffer} Converted ROM
+   */
+  function convert(wordSize) {
+    const converted = Buffer.from(z64)
+    const aligned = converted.subarray(
+      0,
+      converted.length - (converted.length % wordSize)
+    )
+    if (wordSize === 2) aligned.swap16()
+    else aligned.swap32()
+    return converted
+  }
+
+  it("hashes big-endian dumps as they are", async () => {
+    const filePath = await writeRom("game.z64", z64)
+    assert.equal((await hashRom(filePath, CONSOLE.N64)).hash, md5(z64))
+  })
+
+  it("converts byte-swapped .v64 dumps", async () => {
+    const v64 = convert(2)
+    assert.deepEqual([...v64.subarray(0, 4)], [0x37, 0x80, 0x40, 0x12])
+    const filePath = await writeRom("game.v64", v64)
+    assert.equal((await hashRom(filePath, CONSOLE.N64)).hash, md5(z64))
+  })
+
+  it("converts little-endian .n64 dumps", async () => {
+    const n64 = convert(4)
+    assert.deepEqual([...n64.subarray(0, 4)], [0x40, 0x12, 0x37, 0x80])
+    const filePath = await writeRom("game.n64", n64)
+    assert.equal((await hashRom(filePath, CONSOLE.N64)).hash, md5(z64))
+  })
+})
+
+describe("Atari 7800, Lynx and PC Engine hashers", () => {
+  it("skips the 128-byte A78 header", async () => {
+    const header = Buffer.alloc(128)
+    header.write("\x01ATARI7800", "latin1")
+    const rom = pattern(0xc000)
+    const filePath = await writeRom("game.a78", header, rom)
+    const result = await hashRom(filePath, CONSOLE.ATARI_7800)
+    assert.equal(result.hash, md5(rom))
+    assert.equal(result.header, "A78")
+  })
+
+  it("hashes headerless Atari 7800 dumps whole", async () => {
+    const rom = pattern(0xc000)
+    const filePath = await writeRom("headerless.a78", rom)
+    const result = await hashRom(filePath, CONSOLE.ATARI_7800)
+    assert.equal(result.hash, md5(rom))
+    assert.equal(result.header, null)
+  })
+
+  it("skips the 64-byte LNX header", async () => {
+    const header = Buffer.alloc(64)
+    header.write("LYNX\0", "latin1")
+    const rom = pattern(0x20000, 5)
+    const filePath = await writeRom("game.lnx", header, rom)
+    const result = await hashRom(filePath, CONSOLE.ATARI_LYNX)
+    assert.equal(result.hash, md5(rom))
+    assert.equal(result.header, "LNX")
+  })
+
+  it("skips a 512-byte PC Engine copier header", async () => {
+    const rom = pattern(0x40000, 1)
+    const filePath = await writeRom("game.pce", pattern(512, 2), rom)
+    const result = await hashRom(filePath, CONSOLE.PC_ENGINE)
+    assert.equal(result.hash, md5(rom))
+    assert.equal(result.header, "copier")
+  })
+
+  it("keeps PC Engine dumps that are 512 bytes over a 1KB multiple", async () => {
+    const rom = pattern(0x8000 + 512, 1)
+    const filePath = await writeRom("odd.pce", rom)
+    const result = await hashRom(filePath, CONSOLE.PC_ENGINE)
+    assert.equal(result.hash, md5(rom))
+    assert.equal(result.header, null)
+  })
+})
+
+describe("Nintendo DS hasher", () => {
+  const arm9 = pattern(0x1000, 11)
+  const arm7 = pattern(0x800, 22)
+  const icon = pattern(0xa00, 33)
+
+  /**
+   * Build a DS ROM with its ARM9 code at 0x4000, ARM7 code at 0x6000 and the
+   * icon/title block at 0x8000, and filler in between that isn't hashed
+   * @returns {{rom: Buffer, expected: string}} ROM and its expected hash
+   */
+  function buildRom() {
+    const rom = pattern(0x9000, 44)
+    rom.write("MOCK DS GAME", 0, "latin1")
+    rom.writeUInt32LE(0x4000, 0x20)
+    rom.writeUInt32LE(arm9.length, 0x2c)
+    rom.writeUInt32LE(0x6000, 0x30)
+    rom.writeUInt32LE(arm7.length, 0x3c)
+    rom.writeUInt32LE(0x8000, 0x68)
+    arm9.copy(rom, 0x4000)
+    arm7.copy(rom, 0x6000)
+    icon.copy(rom, 0x8000)
+    return { rom, expected: md5(rom.subarray(0, 0x160), arm9, arm7, icon) }
+  }
+
+  it("hashes the header, ARM9 and ARM7 code and icon", async () => {
+    const { rom, expected } = buildRom()
+    const filePath = await writeRom("game.nds", rom)
+    const result = await hashRom(filePath, CONSOLE.NINTENDO_DS)
+    assert.equal(result.hash, expected)
+    assert.equal(result.header, null)
+  })
+
+  it("skips a SuperCard header", async () => {
+    const { rom, expected } = buildRom()
+    const superCard = Buffer.alloc(0x200)
+    superCard.writeUInt32BE(0x2e0000ea, 0)
+    superCard.writeUInt32BE(0x44469600, 0xb0)
+    const filePath = await writeRom("supercard.nds", superCard, rom)
+    const result = await hashRom(filePath, CONSOLE.NINTENDO_DS)
+    assert.equal(result.hash, expected)
+    assert.equal(result.header, "SuperCard")
+  })
+
+  it("rejects code sizes over 16MB", async () => {
+    const { rom } = buildRom()
+    rom.writeUInt32LE(0x1000000, 0x2c)
+    const filePath = await writeRom("oversized.nds", rom)
+    await assert.rejects(hashRom(filePath, CONSOLE.NINTENDO_DS), /exceeds 16MB/)
+  })
+
+  it("rejects files too short for a DS header", async () => {
+    const filePath = await writeRom("short.nds", pattern(0x100))
+    await assert.rejects(
+      hashRom(filePath, CONSOLE.NINTENDO_DS),
+      /Not a Nintendo DS ROM/
+    )
+  })
+})
@@ -0,0 +1,104 @@
+import assert from "node:assert/strict"
+import http from "http"
+import { after, before, describe, it } from "node:test"
+import { createHttpBackend, getGameIcons } from "../src/api.js"
+import { formatHtmlReport } from "../src/html-report.js"
+
+// A 1x1 transparent PNG
+const PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=",
+  "base64"
+)
+
+let server
+let backend
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    if (request.url === "/Images/000001.png") {
+      response.writeHead(200, { "Content-Type": "image/png" })
+      response.end(PNG)
+    } else if (request.url === "/Images/page.png") {
+      response.writeHead(200, { "Content-Type": "text/html" })
+      response.end("<html></html>")
+    } else {
+      response.writeHead(404)
+      response.end()
+    }
+  })
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+  backend = createHttpBackend(
+    { username: "mock", apiKey: "mock" },
+    {
+      baseUrl: `http://127.0.0.1:${server.address().port}/API`,
+      mediaBaseUrl: `http://127.0.0.1:${server.address().port}`,
+    }
+  )
+})
+
+after(() => {
+  server.close()
+})
+
+describe("Game icons", () => {
+  it("downloads icons as data: URIs and leaves out failures", async () => {
+    const icons = await getGameIcons(backend, [
+      "/Images/000001.png",
+      "/Images/missing.png",
+      "/Images/page.png",
+      "/Images/000001.png",
+    ])
+    assert.deepEqual(
+      [...icons],
+      [
+        [
+          "/Images/000001.png",
+          `data:image/png;base64,${PNG.toString("base64")}`,
+        ],
+      ]
+    )
+  })
+
+  it("skips downloads for backends without images", async () => {
+    const icons = await getGameIcons(
+      createHttpBackend(
+        { username: "mock", apiKey: "mock" },
+        { baseUrl: "http://127.0.0.1:1/API" }
+      ),
+      ["/Images/000001.png"]
+    )
+    assert.equal(icons.size, 0)
+  })
+
+  it("embeds icons in the HTML report without loading anything remote", () => {
+    const game = (id, imageIcon) => ({
+      id,
+      title: `Game ${id}`,
+      imageIcon,
+      numAchievements: 10,
+      points: 100,
+    })
+    const html = formatHtmlReport(
+      [
+        { filename: "a.sfc", hash: "aa", match: game(1, "/Images/000001.png") },
+        {
+          filename: "b.sfc",
+          hash: "bb",
+          match: game(2, "/Images/missing.png"),
+        },
+      ],
+      {
+        directory: "/roms",
+        console: { id: 3, name: "SNES" },
+        toolVersion: "1.0.0",
+        dataFetchedAt: null,
+      },
+      { icons: new Map([["/Images/000001.png", "data:image/png;base64,AA=="]]) }
+    )
+
+    assert.equal(html.match(/<img /g).length, 1)
+    assert.match(html, /<img class="icon" src="data:image\/png;base64,AA=="/)
+    assert.doesNotMatch(html, /media\.retroachievements\.org/)
+    assert.doesNotMatch(html, /src="https?:/)
+  })
+})
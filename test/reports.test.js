@@ -0,0 +1,141 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { formatCsvReport, formatMarkdownReport } from "../src/display.js"
+
+const SCAN = {
+  directory: "/roms",
+  console: { id: 3, name: "SNES/Super Famicom" },
+  toolVersion: "1.0.0",
+  dataFetchedAt: null,
+}
+
+/**
+ * Build a matched result
+ * @param {string} filename - ROM file name
+ * @param {string} title - Title of the matched game
+ * @returns {Object} Result object as the comparison step makes it
+ */
+function matchedResult(filename, title) {
+  return {
+    filename,
+    consoleName: "SNES/Super Famicom",
+    hash: "0123456789abcdef0123456789abcdef",
+    hashMethod: "snes",
+    match: { id: 42, title, numAchievements: 12, points: 100 },
+    recognized: null,
+    error: null,
+  }
+}
+
+describe("CSV report", () => {
+  it("quotes fields with delimiters, quotes and line breaks", () => {
+    const csv = formatCsvReport(
+      [
+        matchedResult("a.sfc", "Mario, Luigi"),
+        matchedResult("b.sfc", 'The "Best" Game'),
+        matchedResult("c.sfc", "Line one\nLine two"),
+      ],
+      SCAN
+    )
+    const lines = csv.split("\r\n")
+
+    // A header, three rows and the empty string after the last CRLF
+    assert.equal(lines.length, 5)
+    assert.equal(lines[4], "")
+    assert.match(lines[1], /,"Mario, Luigi",/)
+    assert.match(lines[2], /,"The ""Best"" Game",/)
+    assert.match(csv, /,"Line one\nLine two",/)
+  })
+
+  it("leaves plain fields unquoted", () => {
+    const [, row] = formatCsvReport(
+      [matchedResult("Super Metroid (USA).sfc", "Super Metroid")],
+      SCAN
+    ).split("\r\n")
+
+    assert.equal(
+      row,
+      "matched,Super Metroid (USA).sfc,,SNES/Super Famicom,0123456789abcdef0123456789abcdef,snes,42,Super Metroid,12,https://retroachievements.org/game/42,"
+    )
+  })
+
+  it("quotes for the chosen delimiter only", () => {
+    const [, row] = formatCsvReport(
+      [matchedResult("a.sfc", "Mario, Luigi; Friends")],
+      SCAN,
+      { delimiter: ";" }
+    ).split("\r\n")
+
+    assert.match(row, /;"Mario, Luigi; Friends";/)
+    assert.match(row, /^matched;a\.sfc;;/)
+  })
+})
+
+/**
+ * Find the Markdown table row that starts with a cell
+ * @param {string} markdown - Report
+ * @param {string} firstCell - Text the row's first cell starts with
+ * @returns {string|undefined} Row
+ */
+function findRow(markdown, firstCell) {
+  return markdown.split("\n").find((line) => line.startsWith(`| ${firstCell}`))
+}
+
+describe("Markdown report", () => {
+  it("escapes pipes and backticks so cells stay in their columns", () => {
+    const markdown = formatMarkdownReport(
+      [
+        {
+          filename: "Pipe | Dream `beta`.sfc",
+          consoleName: "SNES/Super Famicom",
+          hash: "0123456789abcdef0123456789abcdef",
+          match: null,
+          recognized: null,
+          error: null,
+        },
+      ],
+      SCAN
+    )
+    const row = findRow(markdown, "Pipe")
+
+    assert.equal(
+      row,
+      "| Pipe \\| Dream \\`beta\\`.sfc | SNES/Super Famicom | `0123456789abcdef0123456789abcdef` |  |"
+    )
+    // Four cells: only the separators are unescaped pipes
+    assert.equal(row.split(/(?<!\\)\|/).length - 2, 4)
+  })
+
+  it("escapes link text in game titles and joins lines", () => {
+    const markdown = formatMarkdownReport(
+      [matchedResult("a.sfc", "[Hack] *Super*\nMario_World")],
+      SCAN
+    )
+
+    const row = findRow(markdown, "[")
+
+    assert.ok(
+      row.startsWith(
+        "| [\\[Hack\\] \\*Super\\* Mario\\_World](https://retroachievements.org/game/42) | a.sfc |"
+      ),
+      row
+    )
+  })
+
+  it("labels the matched table like the HTML report when it includes recognized games", () => {
+    const recognized = {
+      ...matchedResult("b.sfc", "Unfinished"),
+      match: null,
+      recognized: { id: 7, title: "Unfinished", numAchievements: 0, points: 0 },
+    }
+
+    assert.match(
+      formatMarkdownReport([matchedResult("a.sfc", "Game")], SCAN),
+      /^### Matched \(1\)$/m
+    )
+    assert.match(
+      formatMarkdownReport([matchedResult("a.sfc", "Game"), recognized], SCAN),
+      /^### Matched and Recognized \(2\)$/m
+    )
+  })
+})
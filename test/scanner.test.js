@@ -0,0 +1,52 @@
+import assert from "node:assert/strict"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { after, before, describe, it } from "node:test"
+import { scanDirectory } from "../src/scanner.js"
+
+let tempDir
+
+before(async () => {
+  tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "ra-hash-test-"))
+  await fs.promises.writeFile(path.join(tempDir, "game.gb"), "not a real ROM")
+  await fs.promises.writeFile(path.join(tempDir, "set.zip"), "not a zip")
+})
+
+after(async () => {
+  await fs.promises.rm(tempDir, { recursive: true, force: true })
+})
+
+describe("scanDirectory", () => {
+  it("skips files the resolver asks to skip", async () => {
+    const skips = []
+    const results = await scanDirectory(tempDir, {
+      resolveConsoleId: async (filePath, relativePath) =>
+        relativePath.endsWith(".zip") ? null : { skip: "no system chosen" },
+      onSkip: (reason, displayNames) => skips.push({ reason, displayNames }),
+    })
+
+    assert.deepEqual(skips, [
+      { reason: "no system chosen", displayNames: ["game.gb"] },
+    ])
+    assert.equal(
+      results.some((r) => r.filename === "game.gb"),
+      false
+    )
+  })
+
+  it("reports an archive whose system lookup fails as one error", async () => {
+    const results = await scanDirectory(tempDir, {
+      resolveConsoleId: async (filePath, relativePath) => {
+        if (relativePath.endsWith(".zip")) {
+          throw new Error("lookup failed")
+        }
+        return 4
+      },
+    })
+
+    const archive = results.find((r) => r.filename === "set.zip (archive)")
+    assert.equal(archive.error, "lookup failed")
+    assert.equal(results.find((r) => r.filename === "game.gb").error, undefined)
+  })
+})
@@ -0,0 +1,91 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import {
+  normalizeTitle,
+  suggestGames,
+  titleFromFilename,
+  titleSimilarity,
+} from "../src/titles.js"
+
+describe("Title matching", () => {
+  it("takes the title from a file name, tags included", () => {
+    assert.equal(
+      titleFromFilename("snes/Super Metroid (USA, Europe).sfc"),
+      "Super Metroid (USA, Europe)"
+    )
+  })
+
+  it("drops tags, case and punctuation when normalizing", () => {
+    assert.equal(
+      normalizeTitle("Legend of Zelda, The - A Link to the Past (USA) [!]"),
+      "legend of zelda the a link to the past"
+    )
+    assert.equal(normalizeTitle("Mario & Luigi (Rev 1)"), "mario and luigi")
+  })
+
+  it("scores the same title in different naming styles as identical", () => {
+    assert.equal(
+      titleSimilarity("Legend of Zelda, The (USA)", "The Legend of Zelda"),
+      1
+    )
+  })
+
+  it("matches a title that lacks the subtitle", () => {
+    assert.equal(
+      titleSimilarity(
+        "Castlevania - Dracula X (Japan)",
+        "Castlevania: Dracula X"
+      ),
+      1
+    )
+    assert.equal(
+      titleSimilarity("Mega Man X3 (USA)", "Mega Man X3: Zero Project"),
+      1
+    )
+  })
+
+  it("scores unrelated titles low and close ones in between", () => {
+    assert.ok(titleSimilarity("Super Metroid", "Tetris Attack") < 0.3)
+
+    const close = titleSimilarity("Super Mario World 2", "Super Mario World")
+    assert.ok(close > 0.8 && close < 1)
+  })
+
+  it("returns 0 for titles with nothing to compare", () => {
+    assert.equal(titleSimilarity("(USA)", "[!]"), 0)
+  })
+
+  it("suggests the closest games first, above the minimum score", () => {
+    const games = [
+      { id: 1, title: "Super Mario World" },
+      { id: 2, title: "Super Mario World 2: Yoshi's Island" },
+      { id: 3, title: "Super Metroid" },
+      { id: 4, title: "F-Zero" },
+    ]
+    const suggestions = suggestGames(
+      "Super Mario World (Europe) (Rev 1)",
+      games
+    )
+
+    assert.deepEqual(
+      suggestions.map((game) => game.id),
+      [1, 2]
+    )
+    assert.equal(suggestions[0].score, 1)
+    assert.ok(suggestions.every((game) => game.score >= 0.6))
+  })
+
+  it("limits the number of suggestions", () => {
+    const games = [
+      { id: 1, title: "Puzzle A" },
+      { id: 2, title: "Puzzle B" },
+      { id: 3, title: "Puzzle C" },
+    ]
+    assert.deepEqual(
+      suggestGames("Puzzle", games, { limit: 2, minScore: 0 }).map(
+        (game) => game.title
+      ),
+      ["Puzzle A", "Puzzle B"]
+    )
+  })
+})